@@ -1,10 +1,13 @@
-import React, { createContext, PureComponent, useContext, useMemo } from "react";
+import React, { createContext, forwardRef, PureComponent, useContext, useReducer, useRef, useEffect } from "react";
 
 // const React = require('react')
 // const { createContext, Component } = React
 
 // ========================== HELPER METHODS ==========================
 
+// the definition (and meta) of each bound method, so that it can be bound again to another "self" (see rebindMethods)
+const BOUND_METHODS = new WeakMap()
+
 const bindMethods = (methods, self) => {
     /* 
     takes an object of methods and binds them to a given "self"
@@ -12,10 +15,252 @@ const bindMethods = (methods, self) => {
     const bound = {}
     for (let method in methods) {
         bound[method] = methods[method].bind(self)
+        BOUND_METHODS.set(bound[method], { definition: methods[method] })
+    }
+    return bound;
+}
+
+const bindMethodWithMeta = (method, self, type, name) => {
+    const context = Object.create(self);
+    context.setState = (state, callback, meta = { type, name }) => self.setState(state, callback, meta);
+    const bound = method.bind(context);
+    BOUND_METHODS.set(bound, { definition: method, type, name })
+    return bound
+}
+
+const bindMethodsWithMeta = (methods, self, type, namespace) => {
+    /* 
+    binds an object of methods to a given "self" (like bindMethods), but gives each method its own "this" that inherits from self.
+    Any call to this.setState from within a method is tagged with meta data ({type, name}) describing which method initiated the update, so that middleware can identify it.
+    */
+    const bound = {}
+    for (let method in methods) {
+        bound[method] = bindMethodWithMeta(methods[method], self, type, namespace ? `${namespace}.${method}` : method)
     }
     return bound;
 }
 
+const rebindMethods = (boundMethods, self) => {
+    /* 
+    takes an object of methods bound with bindMethods or bindMethodsWithMeta, and binds their definitions to another "self" (keeping their meta)
+    */
+    const rebound = {}
+    for (let method in boundMethods) {
+        // methods wrapped after they were bound (e.g. by a spy) are looked up through the method they wrap
+        const entry = BOUND_METHODS.get(boundMethods[method]) || BOUND_METHODS.get(boundMethods[method].original);
+        if (!entry) {
+            rebound[method] = boundMethods[method];
+        } else {
+            rebound[method] = entry.type ? bindMethodWithMeta(entry.definition, self, entry.type, entry.name) : entry.definition.bind(self);
+        }
+    }
+    return rebound
+}
+
+const runMiddleware = (middleware, prevState, partialUpdate, meta, { commit, veto, onError }) => {
+    /* 
+    passes an update through each middleware in the order they were added. Each middleware receives (prevState, partialUpdate, meta, next) and must call next (optionally with a transformed update) to pass the update along.
+    If a middleware returns (or the promise it returns resolves) without having called next, the update is vetoed. Middleware that delay an update should therefore return a promise that resolves once next has been called.
+    */
+    const dispatch = (i, update) => {
+        if (i === middleware.length) return commit(update)
+
+        let called = false;
+        const next = (nextUpdate = update) => {
+            called = true;
+            return dispatch(i + 1, nextUpdate)
+        }
+
+        return new Promise(resolve => resolve(middleware[i](prevState, update, meta, next)))
+            .then(() => !called && veto(), onError)
+    }
+
+    dispatch(0, partialUpdate)
+}
+
+const SCHEMA_TYPES = ["string", "number", "boolean", "object", "array", "function", "any"]
+
+const getTypeName = (value) => Array.isArray(value) ? "array" : value === null ? "null" : typeof value
+
+const checkSchemaDefinition = (schema, path = []) => {
+    /* 
+    throws if a schema definition contains anything other than type names, validator functions, arrays with a single item schema, or objects of nested schemas
+    */
+    const location = path.length ? `'${path.join(".")}'` : "The schema"
+    if (typeof schema === "function") return;
+
+    if (typeof schema === "string") {
+        if (!SCHEMA_TYPES.includes(schema.replace(/\?$/, ""))) throw new Error(`${location} uses an unknown type, '${schema}'. Schema types must be one of ${SCHEMA_TYPES.map(type => `'${type}'`).join(", ")} (add a '?' to the end of a type to also allow null or undefined).`)
+        return;
+    }
+
+    if (Array.isArray(schema)) {
+        if (schema.length !== 1) throw new Error(`${location} is an array schema, and must contain exactly one item schema (e.g. ['string']).`)
+        return checkSchemaDefinition(schema[0], [...path, "[]"])
+    }
+
+    if (!schema || typeof schema !== "object") throw new Error(`${location} must be a type name, validator function, array, or object.`)
+    for (let key of Object.keys(schema)) {
+        checkSchemaDefinition(schema[key], [...path, key])
+    }
+}
+
+const validateSchema = (value, schema, path = []) => {
+    /* 
+    checks a value against a schema definition and returns a list of error messages (empty if the value is valid)
+    */
+    const location = `'${path.join(".")}'`;
+
+    // validator functions must return true for valid values. Any other return value is invalid, and strings are used as the error message
+    if (typeof schema === "function") {
+        const result = schema(value);
+        if (result === true) return [];
+        return [`${location} ${typeof result === "string" ? result : "failed its validator function"}`]
+    }
+
+    if (typeof schema === "string") {
+        const nullable = schema.endsWith("?");
+        const type = nullable ? schema.slice(0, -1) : schema;
+        if ((nullable && value == null) || type === "any" || type === getTypeName(value)) return [];
+        return [`${location} should be of type '${type}', but received '${getTypeName(value)}'`]
+    }
+
+    if (Array.isArray(schema)) {
+        if (!Array.isArray(value)) return [`${location} should be of type 'array', but received '${getTypeName(value)}'`];
+        return value.reduce((errors, item, i) => errors.concat(validateSchema(item, schema[0], [...path, i])), [])
+    }
+
+    if (getTypeName(value) !== "object") return [`${location} should be of type 'object', but received '${getTypeName(value)}'`];
+    return Object.keys(schema).reduce((errors, key) => errors.concat(validateSchema(value[key], schema[key], [...path, key])), [])
+}
+
+const validateStateUpdate = (update, schema) => {
+    /* 
+    validates the top level keys of a (partial) state update that are defined in the schema. Keys not found in the update or the schema are ignored
+    */
+    if (!update || typeof update !== "object") return [];
+    return Object.keys(update)
+        .filter(key => Object.prototype.hasOwnProperty.call(schema, key))
+        .reduce((errors, key) => errors.concat(validateSchema(update[key], schema[key], [key])), [])
+}
+
+const createSchemaMiddleware = (schema, developmentWarnings, schemaValidationLevel) => (prevState, partialUpdate, meta, next) => {
+    /* 
+    middleware that checks every update against the state schema. Following the overwrite protection convention, level 1 warns and level 2 or greater throws (which rejects the update)
+    */
+    const errors = validateStateUpdate(partialUpdate, schema);
+
+    if (errors.length && developmentWarnings) {
+        const source = meta.name ? `${meta.type} '${meta.name}'` : meta.type;
+        const message = `An update from ${source} does not match the state schema:\n\n${errors.join("\n")}\n\nTo change this behavior, set schemaValidationLevel in the CantusFirmus options.`
+
+        schemaValidationLevel === 1 && console.warn(message)
+        if (schemaValidationLevel >= 2) throw new Error(message)
+    }
+
+    next()
+}
+
+const trackDependencies = (state, computation) => {
+    /* 
+    runs a computation with a proxy of state that records which top level state keys it reads.
+    Returns the computed value along with the keys read (or null if the computation enumerated the whole state, in which case it depends on every key)
+    */
+    let keys = new Set();
+    const tracked = new Proxy(state, {
+        get(target, key, receiver) {
+            if (typeof key === "string" && keys) keys.add(key);
+            return Reflect.get(target, key, receiver)
+        },
+        has(target, key) {
+            if (typeof key === "string" && keys) keys.add(key);
+            return Reflect.has(target, key)
+        },
+        ownKeys(target) {
+            keys = null;
+            return Reflect.ownKeys(target)
+        }
+    })
+
+    const value = computation(tracked);
+    return { value, keys: keys && [...keys] }
+}
+
+const createComputedValues = (definitions) => {
+    /* 
+    takes an object of computed value definitions (functions of state), and returns a function that takes state and returns the computed values.
+    Each value is memoized, and is only re-evaluated when one of the top level state keys it read has changed
+    */
+    const cache = {};
+
+    return (state) => {
+        const computed = {};
+        for (let name of Object.keys(definitions)) {
+            const entry = cache[name];
+            const isStale = !entry
+                || (entry.keys ? entry.keys.some(key => entry.state[key] !== state[key]) : entry.state !== state)
+
+            if (isStale) {
+                const { value, keys } = trackDependencies(state, definitions[name]);
+                cache[name] = { value, keys, state };
+            } else {
+                cache[name].state = state;
+            }
+            computed[name] = cache[name].value;
+        }
+        return computed
+    }
+}
+
+const combineReducers = (reducers, sliceReducers) => {
+    /* 
+    creates a single reducer that passes an action through every reducer.
+    Reducers added with addReducers receive (and return) the entire state, while slice reducers only receive (and return) the value of the state key they are bound to.
+    */
+    return (state, action) => {
+        let nextState = state;
+        for (let name of Object.keys(reducers)) {
+            nextState = reducers[name](nextState, action);
+        }
+        for (let key of Object.keys(sliceReducers)) {
+            const value = sliceReducers[key](nextState[key], action);
+            if (value !== nextState[key]) nextState = { ...nextState, [key]: value };
+        }
+        return nextState
+    }
+}
+
+const createActionCreators = (name, cases) => {
+    /* 
+    creates an action creator for each case in a case map reducer. Action types are namespaced by the reducer name (e.g. "todos/add"), and each creator exposes its type
+    */
+    const creators = {};
+    for (let caseName of Object.keys(cases)) {
+        const type = `${name}/${caseName}`;
+        creators[caseName] = payload => ({ type, payload });
+        creators[caseName].type = type;
+    }
+    return creators
+}
+
+const createCaseReducer = (name, cases) => {
+    /* 
+    turns a case map into a reducer function that handles the actions made by its action creators, and returns state unchanged for any other action
+    */
+    const prefix = `${name}/`;
+    return (state, action) => {
+        if (typeof action.type !== "string" || !action.type.startsWith(prefix)) return state
+        const caseName = action.type.slice(prefix.length);
+        return Object.prototype.hasOwnProperty.call(cases, caseName) ? cases[caseName](state, action.payload, action) : state
+    }
+}
+
+const createAbortController = () => {
+    // falls back to a minimal controller in environments without AbortController
+    if (typeof AbortController === "function") return new AbortController();
+    const signal = { aborted: false };
+    return { signal, abort: () => { signal.aborted = true } }
+}
 
 const formatStateName = (name, prefix = "") => {
     /* 
@@ -89,7 +334,30 @@ const getNestedValue = (state, nsPath) => {
 }
 
 
-const createStateSetters = (state, ignoredSetters = [], nestedSetters = false, setters = {}) => {
+const createArraySetters = (key, setters, ignoredSetters = []) => {
+    /* 
+    creates setters for common array operations on an array valued state key. A key called "todos" gets the following setters:
+    pushTodos(...items), insertTodosAt(index, ...items), updateTodosAt(index, valueOrFn), removeTodosAt(index, count), filterTodos(predicate)
+    Each setter is applied to the latest state, so successive calls are never lost. Any of these setters can be skipped by passing its name to ignoreSetters
+    */
+    const operations = {
+        [formatStateName(key, "push")]: (list, ...items) => [...list, ...items],
+        [formatStateName(key, "insert") + "At"]: (list, index, ...items) => [...list.slice(0, index), ...items, ...list.slice(index)],
+        [formatStateName(key, "update") + "At"]: (list, index, valueOrFn) => list.map((item, i) => i !== index ? item : typeof valueOrFn === "function" ? valueOrFn(item) : valueOrFn),
+        [formatStateName(key, "remove") + "At"]: (list, index, count = 1) => [...list.slice(0, index), ...list.slice(index + count)],
+        [formatStateName(key, "filter")]: (list, predicate) => list.filter(predicate),
+    }
+
+    for (let name of Object.keys(operations)) {
+        if (ignoredSetters.includes(name)) continue;
+        const meta = { type: "dynamicSetter", name }
+        setters[name] = async function (...args) {
+            return this.setState(prevState => ({ [key]: operations[name](prevState[key], ...args) }), undefined, meta)
+        }
+    }
+}
+
+const createStateSetters = (state, ignoredSetters = [], nestedSetters = false, arraySetters = false, setters = {}) => {
     /* 
     iterates through a provided state object, and takes each key name (state value) and creates a setter method for that value. 
     Following the standard React convention, a key called "myKey" would get a setter method called "setMyKey".
@@ -100,19 +368,19 @@ const createStateSetters = (state, ignoredSetters = [], nestedSetters = false, s
         formattedName = formatStateName(s, "set");
 
         if (formattedName && !ignoredSetters.includes(s)) {
+            const meta = { type: "dynamicSetter", name: formattedName } // describes the origin of the update to any middleware
             setters[formattedName] = async function (value, cb = () => {}) {
                 if(typeof value === "function"){
-                    return new Promise(async resolve => {
-                        resolve(await this.setState(value, cb))
-                    })
+                    return this.setState(value, cb, meta)
                 } else {
                     const newState = {}
                     newState[s] = value;
-                    return new Promise(async resolve => {
-                        resolve(await this.setState(newState, cb))
-                    })
+                    return this.setState(newState, cb, meta)
                 }
             }
+
+            // array valued keys also get setters for common array operations
+            if (arraySetters && Array.isArray(state[s])) createArraySetters(s, setters, ignoredSetters)
         }
     }
 
@@ -124,11 +392,14 @@ const createStateSetters = (state, ignoredSetters = [], nestedSetters = false, s
             nestedName = nsPath.join("_");
             formattedName = formatStateName(nestedName, "set")
             if (formattedName && !ignoredSetters.includes(nestedName)) {
-                setters[formattedName] = async function (value) {
-                    const newState = nestedSetterFactory(this.state, nsPath)(value) // reassign the nested value and return whole state object;
-                    return new Promise(async resolve => {
-                        resolve(await this.setState(newState))
-                    })
+                const meta = { type: "dynamicSetter", name: formattedName, path: nsPath }
+                // like top level setters, nested setters accept a value or a function, and an optional callback
+                // the update is applied to the latest state (rather than this.state at call time) so successive calls are never lost
+                setters[formattedName] = async function (value, cb = () => {}) {
+                    return this.setState(prevState => {
+                        const newValue = typeof value === "function" ? value(getNestedValue(prevState, nsPath)) : value
+                        return nestedSetterFactory(prevState, nsPath)(newValue) // reassign the nested value and return whole state object;
+                    }, cb, meta)
                 }
             }
         }
@@ -193,6 +464,8 @@ const cleanState = (state, privatePaths) => {
                     if (i === path.length - 1) {
                         delete nestedPath[np]
                     } else {
+                        // copy each object along the path, so the private value is only removed from the copy (and not from state itself)
+                        if (nestedPath[np] && typeof nestedPath[np] === "object") nestedPath[np] = Array.isArray(nestedPath[np]) ? [...nestedPath[np]] : { ...nestedPath[np] }
                         nestedPath = nestedPath[np]
                     }
                 } catch (err) { // if a provided key along the path does not exist, inform user
@@ -209,216 +482,1148 @@ const cleanState = (state, privatePaths) => {
 
 }
 
-const createReducerDispatchers = (reducers) => {
-    const reducerMethods = {}
-    for (let r in reducers) {
-        // console.log(r)
-        reducerMethods[r] = (state, action) => {
-            this.setState(reducers[r](state, action))
-        }
-
-    }
-
-    // console.log(reducerMethods.stateReducer)
+const shallowEqual = (a, b) => {
+    /* 
+    compares two objects (or arrays) by the identity of their top level values
+    */
+    if (a === b) return true;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
 
-    return reducerMethods
+    const aKeys = Object.keys(a);
+    if (aKeys.length !== Object.keys(b).length) return false;
+    return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && a[key] === b[key]);
 }
 
+const deepEqual = (a, b) => {
+    /* 
+    compares two values structurally, recursing through plain objects and arrays
+    */
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
 
-// ========================== DEFAULT OPTIONS ==========================
-
-
-const DEFAULT_OPTIONS = {
-    dynamicSetters: true,
-    dynamicGetters: true,
-    allowSetterOverwrite: true,
-    developmentWarnings: true,
-    overwriteProtectionLevel: 1,
-    nestedSetters: false,
-    nestedGetters: true
+    const aKeys = Object.keys(a);
+    if (aKeys.length !== Object.keys(b).length) return false;
+    return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
 }
 
-const DEFAULT_STORAGE_OPTIONS = {
-    name: null,
-    unmountBehavior: "all",
-    initializeFromLocalStorage: false,
-    subscriberWindows: [],
-    removeChildrenOnUnload: true,
-    clearStorageOnUnload: true,
-    privateStatePaths: []
+const createSnapshot = (state, paths) => {
+    /* 
+    returns the parts of state tracked by history. If no paths are specified, the whole state is tracked. Otherwise, returns an array of the values found at each path
+    */
+    return paths.length ? paths.map(path => getNestedValue(state, path)) : state
 }
 
-const PROTECTED_NAMESPACES = [
-    "props",
-    "context",
-    "refs",
-    "updater",
-    "state",
-    "setters",
-    "getters",
-    "reducers",
-    "generateDispatchers",
-    "reducersWithDispatchers",
-    "methods",
-    "_boundNamespacedMethods",
-    "bindToLocalStorage",
-    "storageOptions",
-    "updateStateFromLocalStorage",
-    "setStateMaster",
-    "setState",
-    "_reactInternals",
-    "_reactInternalInstance",
-    "windows"
-]
+const restoreSnapshot = (state, snapshot, paths) => {
+    /* 
+    the inverse of createSnapshot. Returns a new state object with the values in the snapshot reassigned to their paths
+    */
+    return paths.length ? paths.reduce((restored, path, i) => nestedSetterFactory(restored, path)(snapshot[i]), state) : snapshot
+}
 
+const renameKeys = (value, renameMap = {}) => {
+    /* 
+    takes a context value object and returns a copy with its keys renamed to the user specifications given in a rename map
+    */
+    const renamed = { ...value }
+    for (let key of Object.keys(renameMap)) {
+        if (renamed[key]) {
+            renamed[renameMap[key]] = renamed[key];
+            delete renamed[key];
+        }
+    }
+    return renamed
+}
 
-// ========================== CANTUS_FIRMUS CLASS ==========================
+const serializeState = (state, storageOptions) => {
+    /* 
+    converts state to the string saved in storage. If a version has been specified, the state is saved along with its version number so it can be migrated when loaded.
+    If permissions have been specified, the state is saved along with the name of the window that published it, so the provider window can check that window's permissions
+    */
+    if (storageOptions.version == null && !storageOptions.permissions) return JSON.stringify(state)
 
-class CantusFirmus {
-    constructor(state, options = {}) {
-        this.context = createContext(null);
-        this.state = state;
+    const payload = { state };
+    if (storageOptions.version != null) payload.version = storageOptions.version;
+    if (storageOptions.permissions) payload.origin = window.name;
+    return JSON.stringify(payload)
+}
 
-        this.setters = {};
-        this.getters = {};
-        this.reducers = {};
-        this.constants = {};
-        this.methods = {};
-        this.namespacedMethods = {};
+const getStateOrigin = (storedValue) => {
+    /* 
+    returns the name of the window that published a stored value (see serializeState), or null if it is unknown
+    */
+    try {
+        const payload = JSON.parse(storedValue);
+        return payload && typeof payload.origin === "string" ? payload.origin : null
+    } catch (err) {
+        return null
+    }
+}
 
-        // OPTIONS
-        this.options = { ...DEFAULT_OPTIONS, ...options }
+const nameWindow = (storageOptions) => {
+    // check to see if the window was named from some previous site.
+    // If it was, we should set it to the provider window name.
+        // reason: The windowManager will require a name when creating a subscriber window, and should have a name in the subscriber list. Therefore, if the window has a name but it is not a subscriber window, we can assume it came from an external site and should be overwritten to match the provider window status. 
+    if(window.name && !storageOptions.subscriberWindows.includes(window.name) && window.name !== storageOptions.providerWindow){
+        window.name = storageOptions.providerWindow;
+    }
 
-        this.dynamicSetters = this.options.dynamicSetters
-        this.dynamicGetters = this.options.dynamicGetters
-        this.allowSetterOverwrite = this.options.allowSetterOverwrite
-        this.developmentWarnings = this.options.developmentWarnings
-        this.overwriteProtectionLevel = this.options.overwriteProtectionLevel
-        this.nestedSetters = this.options.nestedSetters
+    // windows doesn't have a name, it should also be initialized to the provider window
+    if (!window.name && storageOptions.providerWindow) window.name = storageOptions.providerWindow
+}
 
-        // initialize blank storageOptions (will be populated later if user chooses)
-        this.storageOptions = {}
+const isLoadingFromAsyncStorage = (storageOptions) => {
+    // windows that should load their state from an async storage adapter (this happens after the Provider mounts)
+    return storageOptions.storage.async
+        && (storageOptions.initializeFromLocalStorage || storageOptions.subscriberWindows.includes(window.name))
+}
 
-        // Local Storage Connection
-        this.bindToLocalStorage = false
+const loadStoredState = (state, storageOptions, developmentWarnings, schema) => {
+    /* 
+    returns the state a window should start with, given any previously stored state
+    */
 
+    // parse (and migrate if needed) any previously stored state. This will be null if nothing was stored, or if the stored state could not be used
+    const storedState = parseStoredState(storageOptions.storage.getItem(storageOptions.name), storageOptions, developmentWarnings, schema)
 
+    // if the window is a subscriber window, automatically initialize from local storage
+    // Note that the implementation here is slightly different from the stand initializeFromLocalStorage below because if a state resource is desginated as private, subscriber windows should not initialize default values for those private resources.
+    if (storageOptions.subscriberWindows.includes(window.name)) {
+        return storedState || state
     }
 
-    addCustomSetters(setters) {
-        this.setters = setters
+    // if user has specified to load state from local storage (this only impacts the provider window)
+    if (storageOptions.initializeFromLocalStorage && storedState) {
+        return { ...state, ...storedState }
     }
 
-    ignoreSetters(settersArr) {
-
-        settersArr = settersArr.map(s => {
-            return Array.isArray(s)
-                ? s.join("_")
-                : s
-        })
+    return state
+}
 
-        this.ignoredSetters = settersArr || []
-    }
+const publishInitialState = (state, storageOptions, developmentWarnings) => {
+    /* 
+    initialize local storage with state
+    also check to make sure that any state paths marked as private are removed before setting local storage
+    (if state will be loaded from an async adapter, the stored state must not be overwritten with the defaults)
+    transports that don't persist state only publish from the provider window, so subscriber windows never broadcast their default state
+    */
+    if (isLoadingFromAsyncStorage(storageOptions)) return;
 
-    addCustomGetters(getters) {
-        this.getters = getters
+    if (storageOptions.transport.persists || window.name === storageOptions.providerWindow) {
+        const authorizedState = cleanState(state, storageOptions.privateStatePaths)
+        publishState(authorizedState, storageOptions, developmentWarnings)
     }
+}
 
-    ignoreGetters(gettersArr) {
+const publishState = (state, storageOptions, developmentWarnings = true) => {
+    /* 
+    sends state to other windows through the transport. If the transport does not save state itself, state is only written to storage when it should be persisted (initializeFromLocalStorage)
+    */
+    // windows with read permissions only publish the paths they are allowed to read
+    const permissions = getWindowPermissions(storageOptions);
+    if (permissions && permissions.read) state = pickPaths(state, permissions.read);
+
+    const value = serializeState(state, storageOptions);
+    const message = `The state could not be saved under '${storageOptions.name}'.`;
+    catchStorageWrite(storageOptions.transport.publish(value), message, developmentWarnings);
+    if (!storageOptions.transport.persists && storageOptions.initializeFromLocalStorage) catchStorageWrite(storageOptions.storage.setItem(storageOptions.name, value), message, developmentWarnings)
+}
 
-        gettersArr = gettersArr.map(g => {
-            return Array.isArray(g)    
-                ? g.join("_") 
-                : g
-        })
+const catchStorageWrite = (written, message, developmentWarnings) => {
+    // async adapters return promises. A failed write is reported, rather than left as an unhandled rejection (the state in memory is still updated)
+    if (written && typeof written.then === "function") written.catch(err => developmentWarnings && console.warn(message, err))
+}
 
-        this.ignoredGetters = gettersArr || []
-    }
+const parseStoredState = (storedValue, storageOptions, developmentWarnings = true, schema = null) => {
+    /* 
+    takes a string read from storage and returns the state it contains, running any migrations needed to bring it up to the current version.
+    Returns null if nothing was stored, or if the stored state could not be parsed, migrated, or did not match the schema (in which case the default state should be used).
+    */
+    if (!storedValue) return null;
 
-    addReducers(reducers) {
-        this.reducers = reducers
+    const warn = (message, err = "") => {
+        developmentWarnings && console.warn(`${message} Default state values will be used instead.`, err)
+        return null
     }
 
-    addConstants(newConstants) {
-        this.constants = { ...this.constants, ...newConstants }
+    let payload;
+    try {
+        payload = JSON.parse(storedValue)
+    } catch (err) {
+        return warn(`The state stored under '${storageOptions.name}' could not be parsed.`, err)
     }
 
-    addMethods(methods) {
-        this.methods = methods;
-    }
+    if (!payload) return null;
 
-    addNamespacedMethods(methodsMap){
-        this.namespacedMethods = methodsMap;
-    }
+    let storedState = payload;
 
-    rename(nameMap) {
-        this.renameMap = nameMap || {}
+    // state published with permissions enabled is wrapped along with the name of the window that published it (see serializeState)
+    if (storageOptions.permissions && storageOptions.version == null && typeof payload.origin === "string" && typeof payload.state === "object") {
+        storedState = payload.state;
     }
 
-    connectToLocalStorage(options = {}) {
-        this.bindToLocalStorage = true
-        this.storageOptions = { ...DEFAULT_STORAGE_OPTIONS, ...options }
-
-        // if no name is specified, throw an error, as this is a required field to manage multiple localStorage instances
-        if (!this.storageOptions.name) throw new Error("When connecting your cf instance to the local storage, you must provide an unique name (string) to avoid conflicts with other local storage parameters.")
-
-        // default the provider window name to the localStorage name if providerWindow param not given
-        this.storageOptions.providerWindow = this.storageOptions.providerWindow || this.storageOptions.name
+    if (storageOptions.version != null) {
+        // state stored before versioning was enabled is treated as version 0
+        const isVersioned = typeof payload.version === "number" && typeof payload.state === "object"
+        const storedVersion = isVersioned ? payload.version : 0;
+        storedState = isVersioned ? payload.state : payload;
 
-        // check to see if the window was named from some previous site.
-        // If it was, we should set it to the provider window name.
-            // reason: The windowManager will require a name when creating a subscriber window, and should have a name in the subscriber list. Therefore, if the window has a name but it is not a subscriber window, we can assume it came from an external site and should be overwritten to match the provider window status. 
-        if(window.name && !this.storageOptions.subscriberWindows.includes(window.name) && window.name !== this.storageOptions.providerWindow){
-            window.name = this.storageOptions.providerWindow;
+        if (storedVersion > storageOptions.version) {
+            return warn(`The state stored under '${storageOptions.name}' is version ${storedVersion}, which is newer than the current version (${storageOptions.version}).`)
         }
 
-        // windows doesn't have a name, it should also be initialized to the provider window
-        if (!window.name && this.storageOptions.providerWindow) window.name = this.storageOptions.providerWindow
-
-        // if user has specified to load state from local storage (this only impacts the provider window)
-        if (this.storageOptions.initializeFromLocalStorage) {
-            if (window.localStorage.getItem(this.storageOptions.name)) this.state = {
-                ...this.state,
-                ...JSON.parse(window.localStorage.getItem(this.storageOptions.name))
+        // run each migration between the stored version and the current version in order
+        const steps = Object.keys(storageOptions.migrations)
+            .map(Number)
+            .filter(step => step > storedVersion && step <= storageOptions.version)
+            .sort((a, b) => a - b)
+
+        for (let step of steps) {
+            try {
+                storedState = storageOptions.migrations[step](storedState)
+                if (!storedState || typeof storedState !== "object") throw new Error(`Migration ${step} did not return a state object.`)
+            } catch (err) {
+                return warn(`Migrating the state stored under '${storageOptions.name}' to version ${step} failed.`, err)
             }
         }
+    }
+
+    // stored state is checked against the schema before it can be merged into state
+    const errors = schema ? validateStateUpdate(storedState, schema) : [];
+    if (errors.length) {
+        return warn(`The state stored under '${storageOptions.name}' does not match the state schema:\n\n${errors.join("\n")}\n\n`)
+    }
+
+    // windows with read permissions only receive the paths they are allowed to read
+    const permissions = getWindowPermissions(storageOptions);
+    if (permissions && permissions.read) storedState = pickPaths(storedState, permissions.read);
+
+    return storedState
+}
+
+const normalizePermissions = (permissions) => {
+    /* 
+    checks the permissions option of connectToLocalStorage, and converts every read and write path to an array (null means every path is allowed)
+    */
+    if (!permissions || typeof permissions !== "object") throw new Error("The permissions option must be an object mapping window names to their permissions, e.g. { child: { read: ['orders'], write: ['selection'] } }.")
+
+    const normalized = {};
+    for (let windowName of Object.keys(permissions)) {
+        const rules = permissions[windowName] || {};
+        normalized[windowName] = {};
+        for (let access of ["read", "write"]) {
+            if (rules[access] !== undefined && !Array.isArray(rules[access])) throw new Error(`The ${access} permissions of the window, '${windowName}', must be an array of state paths (strings or arrays of strings).`)
+            normalized[windowName][access] = rules[access] ? rules[access].map(path => Array.isArray(path) ? path : [path]) : null;
+        }
+    }
+    return normalized
+}
 
-        // if the window is a subscriber window, automatically initialize from local storage
-        // Note that the implementation here is slightly different from the stand initializeFromLocalStorage above because if a state resource is desginated as private, subscriber windows should not initialize default values for those private resources.
-        if (this.storageOptions.subscriberWindows.includes(window.name)) {
-            if (window.localStorage.getItem(this.storageOptions.name)) {
-                this.state = JSON.parse(window.localStorage.getItem(this.storageOptions.name))                
+const getWindowPermissions = (storageOptions) => {
+    // returns the permissions of the current window, or null if the window is not restricted
+    if (!storageOptions.permissions || typeof window === "undefined") return null;
+    return storageOptions.permissions[window.name] || null
+}
+
+const isWithinPaths = (path, paths) => paths.some(allowed => allowed.length <= path.length && allowed.every((key, i) => key === path[i]))
+
+const pickPaths = (state, paths) => {
+    /* 
+    returns a copy of state that only contains the values at the given paths
+    */
+    const picked = {};
+    for (let path of paths) {
+        let source = state,
+            target = picked;
+        for (let i = 0; i < path.length; i++) {
+            if (!source || typeof source !== "object" || !(path[i] in source)) break;
+            if (i === path.length - 1) {
+                target[path[i]] = source[path[i]];
+            } else {
+                target[path[i]] = target[path[i]] && typeof target[path[i]] === "object" ? target[path[i]] : {};
+                target = target[path[i]];
+                source = source[path[i]];
+            }
+        }
+    }
+    return picked
+}
+
+const overlayPaths = (base, source, paths) => {
+    /* 
+    returns a copy of base, with the values at the given paths taken from source
+    */
+    const overlaid = { ...base };
+    for (let path of paths) {
+        let from = source,
+            target = overlaid;
+        for (let i = 0; i < path.length; i++) {
+            if (!from || typeof from !== "object" || !(path[i] in from)) break;
+            if (i === path.length - 1) {
+                target[path[i]] = from[path[i]];
+            } else {
+                target[path[i]] = { ...target[path[i]] };
+                target = target[path[i]];
+                from = from[path[i]];
             }
         }
+    }
+    return overlaid
+}
 
+const findUnauthorizedChanges = (prev, next, writePaths, path = []) => {
+    /* 
+    compares two states and returns the (dot separated) paths of any changed values that are not within the writable paths
+    */
+    const unauthorized = [];
+    const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
 
+    for (let key of keys) {
+        if (deepEqual(prev[key], next[key])) continue;
+        const keyPath = [...path, key];
+        if (isWithinPaths(keyPath, writePaths)) continue;
 
+        // if a nested path below this key is writable, check the nested values individually
+        const hasWritableChildren = writePaths.some(allowed => allowed.length > keyPath.length && keyPath.every((k, i) => allowed[i] === k));
+        const bothObjects = prev[key] && next[key] && typeof prev[key] === "object" && typeof next[key] === "object";
 
+        if (hasWritableChildren && bothObjects) {
+            unauthorized.push(...findUnauthorizedChanges(prev[key], next[key], writePaths, keyPath));
+        } else {
+            unauthorized.push(keyPath.join("."));
+        }
     }
+    return unauthorized
+}
 
-    createProvider() {
+const createPermissionsMiddleware = (storageOptions, developmentWarnings) => (prevState, partialUpdate, meta, next) => {
+    /* 
+    middleware that blocks updates made in a window to any paths it is not allowed to write. Level 1 ignores the update (with a warning), level 2 or greater throws (which rejects the update)
+    updates received from other windows are not checked here (the provider window checks them when they arrive)
+    */
+    const permissions = getWindowPermissions(storageOptions);
+    if (!permissions || !permissions.write || meta.type === "storage") return next();
+
+    const unauthorized = findUnauthorizedChanges(prevState, { ...prevState, ...partialUpdate }, permissions.write);
+    if (!unauthorized.length) return next();
+
+    const source = meta.name ? `${meta.type} '${meta.name}'` : meta.type;
+    const message = `An update from ${source} was blocked because the window, '${window.name}', does not have permission to change: ${unauthorized.join(", ")}.`
+
+    if (storageOptions.permissionLevel >= 2) throw new Error(message)
+    developmentWarnings && console.warn(message)
+}
+
+const createReducerDispatchers = (reducers) => {
+    const reducerMethods = {}
+    for (let r in reducers) {
+        // console.log(r)
+        reducerMethods[r] = (state, action) => {
+            this.setState(reducers[r](state, action))
+        }
+
+    }
+
+    // console.log(reducerMethods.stateReducer)
+
+    return reducerMethods
+}
+
+
+// ========================== STORAGE ADAPTERS ==========================
+
+/* 
+Storage adapters share the following interface:
+
+{
+    async: Boolean (true if getItem/setItem/removeItem return promises),
+    getItem(key): string or null,
+    setItem(key, value): void,
+    removeItem(key): void,
+    subscribe(key, listener): unsubscribe function. The listener is called with the new value whenever the item is changed from another window
+}
+*/
+
+const createWebStorage = (getStorage) => ({
+    // the storage area is resolved lazily so that no window property is accessed before it is needed
+    async: false,
+    getItem: key => getStorage().getItem(key),
+    setItem: (key, value) => getStorage().setItem(key, value),
+    removeItem: key => getStorage().removeItem(key),
+    subscribe(key, listener) {
+        const handleStorage = e => {
+            if (e.storageArea === getStorage() && (e.key === key || e.key === null)) listener(e.newValue)
+        }
+        window.addEventListener("storage", handleStorage)
+        return () => window.removeEventListener("storage", handleStorage)
+    }
+})
+
+// listeners registered for each in-memory store
+const MEMORY_STORE_LISTENERS = new WeakMap()
+
+export const createMemoryStorage = (store = new Map()) => {
+    /* 
+    creates an adapter that keeps items in a Map. Adapters created with the same store behave like separate windows sharing one localStorage: changes made through one adapter are broadcast to the subscribers of all other adapters
+    */
+    if (!MEMORY_STORE_LISTENERS.has(store)) MEMORY_STORE_LISTENERS.set(store, new Set())
+    const listeners = MEMORY_STORE_LISTENERS.get(store);
+
+    const notify = (key, value) => {
+        for (let entry of listeners) {
+            if (entry.adapter !== adapter && entry.key === key) entry.listener(value)
+        }
+    }
+
+    const adapter = {
+        async: false,
+        getItem: key => store.has(key) ? store.get(key) : null,
+        // like the browser's storage event, subscribers are only notified when the stored value actually changes
+        setItem(key, value) {
+            value = String(value)
+            if (store.get(key) === value) return
+            store.set(key, value)
+            notify(key, value)
+        },
+        removeItem(key) {
+            if (!store.has(key)) return
+            store.delete(key)
+            notify(key, null)
+        },
+        subscribe(key, listener) {
+            const entry = { adapter, key, listener }
+            listeners.add(entry)
+            return () => listeners.delete(entry)
+        }
+    }
+
+    return adapter
+}
+
+export const createAsyncStorage = ({ getItem, setItem, removeItem, subscribe }) => ({
+    /* 
+    wraps any promise based key/value store (getItem, setItem, removeItem, and optionally subscribe) in the adapter interface
+    */
+    async: true,
+    getItem: key => Promise.resolve(getItem(key)),
+    setItem: (key, value) => Promise.resolve(setItem(key, value)),
+    removeItem: key => Promise.resolve(removeItem(key)),
+    subscribe: subscribe || (() => () => { })
+})
+
+export const createIndexedDBStorage = (databaseName = "cantus-firmus", storeName = "state") => {
+    /* 
+    creates an async adapter that persists items in an IndexedDB object store
+    */
+    let database;
+    const openDatabase = () => database = database || new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(databaseName, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+
+    const transact = (mode, operation) => openDatabase().then(db => new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    }))
+
+    return createAsyncStorage({
+        getItem: key => transact("readonly", store => store.get(key)).then(value => value === undefined ? null : value),
+        setItem: (key, value) => transact("readwrite", store => store.put(value, key)),
+        removeItem: key => transact("readwrite", store => store.delete(key))
+    })
+}
+
+const BUILT_IN_STORAGE = {
+    localStorage: () => createWebStorage(() => window.localStorage),
+    sessionStorage: () => createWebStorage(() => window.sessionStorage),
+    memory: () => createMemoryStorage(),
+    indexedDB: () => createIndexedDBStorage()
+}
+
+const resolveStorageAdapter = (storage) => {
+    /* 
+    takes the storage option passed to connectToLocalStorage (the name of a built in adapter, or an adapter object) and returns an adapter
+    */
+    if (typeof storage === "string") {
+        if (!BUILT_IN_STORAGE[storage]) throw new Error(`'${storage}' is not a built in storage adapter. The storage option must be one of ${Object.keys(BUILT_IN_STORAGE).map(name => `"${name}"`).join(", ")}, or an adapter object.`)
+        return BUILT_IN_STORAGE[storage]()
+    }
+
+    for (let method of ["getItem", "setItem", "removeItem", "subscribe"]) {
+        if (typeof storage[method] !== "function") throw new Error(`Custom storage adapters must implement a '${method}' method.`)
+    }
+    return storage
+}
+
+
+// ========================== TRANSPORTS ==========================
+
+/* 
+Transports carry state updates between windows. They share the following interface:
+
+{
+    persists: Boolean (true if publishing also saves the state to the storage adapter),
+    publish(value): sends a serialized state string to all other windows,
+    subscribe(listener): calls the listener with each serialized state string received from other windows. Returns an unsubscribe function
+}
+*/
+
+const createStorageTransport = (storageOptions) => ({
+    // the original transport: state is written to storage, and other windows are notified through the adapter's subscribe method (the 'storage' event for localStorage)
+    persists: true,
+    publish: value => storageOptions.storage.setItem(storageOptions.name, value),
+    subscribe: listener => storageOptions.storage.subscribe(storageOptions.name, listener)
+})
+
+const createBroadcastChannelTransport = (storageOptions) => {
+    /* 
+    sends updates through a BroadcastChannel, so they are never written to storage.
+    Because nothing is stored, newly opened windows request the current state when they subscribe, and any window that has state responds with it
+    */
+    let channel;
+    let lastValue = null;
+    const listeners = new Set();
+
+    // the channel is opened lazily so that no window property is accessed before it is needed
+    const getChannel = () => {
+        if (channel) return channel;
+
+        channel = new BroadcastChannel(`cantus-firmus:${storageOptions.name}`);
+        channel.onmessage = ({ data }) => {
+            if (data.type === "request" && lastValue !== null) {
+                channel.postMessage({ type: "update", value: lastValue })
+            } else if (data.type === "update" && data.value !== lastValue) {
+                lastValue = data.value;
+                for (let listener of listeners) listener(data.value)
+            }
+        }
+        return channel
+    }
+
+    return {
+        persists: false,
+        publish(value) {
+            // skip values that were just received (or already sent) so windows don't echo updates back and forth
+            if (value === lastValue) return;
+            lastValue = value;
+            getChannel().postMessage({ type: "update", value })
+        },
+        subscribe(listener) {
+            listeners.add(listener)
+            getChannel().postMessage({ type: "request" })
+            return () => listeners.delete(listener)
+        }
+    }
+}
+
+const createKeyedStorageOptions = (storageOptions, storageKey) => {
+    /* 
+    copies the storage options for a store that is saved under its own key. The transport is re-created, so it only carries updates for that key (custom transport objects are shared)
+    */
+    const keyedOptions = { ...storageOptions, name: storageKey };
+    keyedOptions.transport = resolveTransport(storageOptions.transportOption, keyedOptions);
+    return keyedOptions
+}
+
+const resolveTransport = (transport, storageOptions) => {
+    /* 
+    takes the transport option passed to connectToLocalStorage ("storage", "broadcastChannel", or a transport object) and returns a transport.
+    Falls back to the storage transport if BroadcastChannel is not supported
+    */
+    if (transport === "broadcastChannel") {
+        return typeof BroadcastChannel === "function"
+            ? createBroadcastChannelTransport(storageOptions)
+            : createStorageTransport(storageOptions)
+    }
+    if (transport === "storage") return createStorageTransport(storageOptions);
+
+    if (!transport || typeof transport.publish !== "function" || typeof transport.subscribe !== "function") {
+        throw new Error("The transport option must be \"storage\", \"broadcastChannel\", or an object with 'publish' and 'subscribe' methods.")
+    }
+    return transport
+}
+
+
+// ========================== WINDOW REGISTRY ==========================
+
+/* 
+Every connected window records itself in a registry shared by the whole window family (saved with the storage adapter under '<name>:windows'):
+
+{
+    [window name]: { name, parent, openedAt, lastHeartbeat }
+}
+
+Windows refresh their lastHeartbeat every heartbeatInterval. Windows that have not sent a heartbeat within windowTimeout are considered closed, and are removed by the next window to update the registry
+*/
+
+const parseWindowRegistry = (value) => {
+    // a missing or malformed registry is treated as empty
+    try {
+        const registry = JSON.parse(value);
+        return registry && typeof registry === "object" && !Array.isArray(registry) ? registry : {}
+    } catch (err) {
+        return {}
+    }
+}
+
+const pruneWindowRegistry = (registry, windowTimeout, now = Date.now()) => {
+    /* 
+    returns a copy of the registry without the windows that have not sent a heartbeat within the timeout
+    */
+    const pruned = {};
+    for (let name of Object.keys(registry)) {
+        if (registry[name] && now - registry[name].lastHeartbeat <= windowTimeout) pruned[name] = registry[name];
+    }
+    return pruned
+}
+
+const listWindows = (registry) => Object.keys(registry).map(name => ({ ...registry[name] })).sort((a, b) => a.openedAt - b.openedAt)
+
+// identifies the windows in a registry, ignoring heartbeats (so listeners are only notified when windows are added or removed)
+const getWindowsSignature = (registry) => JSON.stringify(listWindows(registry).map(({ name, parent, openedAt }) => [name, parent, openedAt]))
+
+const getParentWindowName = () => {
+    // the opener may be closed, or on another origin (in which case reading its name throws)
+    try {
+        return window.opener && !window.opener.closed ? window.opener.name || null : null
+    } catch (err) {
+        return null
+    }
+}
+
+// this window's registration with each window registry (by registry key). Every store in the window that uses the same registry shares it, so the window has one entry and one heartbeat no matter how many Providers are mounted
+const WINDOW_REGISTRATIONS = new Map()
+
+const getWindowRegistration = (storageOptions, developmentWarnings) => {
+    const key = storageOptions.registryKey;
+    if (!WINDOW_REGISTRATIONS.has(key)) {
+        WINDOW_REGISTRATIONS.set(key, {
+            storageOptions,
+            developmentWarnings,
+            stores: new Set(), // the connected stores using the registry
+            registry: {}, // the latest copy of the registry (for windowManager.list and isOpen)
+            signature: getWindowsSignature({}),
+            heartbeat: null,
+            unsubscribe: null
+        })
+    }
+    return WINDOW_REGISTRATIONS.get(key)
+}
+
+const setWindowRegistry = (registration, registry) => {
+    /* 
+    keeps a local copy of the registry, and notifies the onWindowsChange listeners of every connected store if windows were opened or closed
+    */
+    registration.registry = registry;
+
+    const signature = getWindowsSignature(registry);
+    if (signature === registration.signature) return;
+    registration.signature = signature;
+
+    const windows = listWindows(registry);
+    for (let store of registration.stores) {
+        for (let listener of store._windowListeners) listener(windows)
+    }
+}
+
+const updateWindowRegistry = (registration, update) => {
+    /* 
+    reads the window registry, removes closed windows, applies the update (a function that modifies the registry) and saves it
+    */
+    const { storage, registryKey, windowTimeout } = registration.storageOptions;
+
+    const apply = (storedValue) => {
+        const registry = pruneWindowRegistry(parseWindowRegistry(storedValue), windowTimeout);
+
+        // children opened from this window that were closed by the user (rather than through windowManager.close) are removed right away
+        for (let store of registration.stores) {
+            for (let name of Object.keys(store.windows || {})) {
+                if (!store.windows[name] || !store.windows[name].closed) continue;
+                delete store.windows[name];
+                delete registry[name];
+            }
+        }
+
+        if (update) update(registry);
+        const written = storage.setItem(registryKey, JSON.stringify(registry));
+        setWindowRegistry(registration, registry);
+        return written
+    }
+
+    // the registry is only used to keep track of windows, so a failing adapter is reported, rather than breaking the window (or rejecting on every heartbeat)
+    const handleError = err => {
+        registration.developmentWarnings && console.warn(`The window registry, '${registryKey}', could not be updated.`, err)
+    }
+
+    try {
+        // async adapters return promises
+        const storedValue = storage.getItem(registryKey);
+        const result = storedValue && typeof storedValue.then === "function" ? storedValue.then(apply) : apply(storedValue);
+        if (result && typeof result.then === "function") return result.catch(handleError)
+    } catch (err) {
+        handleError(err)
+    }
+}
+
+const usesWindowRegistry = (storageOptions, usesWindowManager = false) => {
+    /* 
+    the registry is only kept in multi-window apps: when subscriber windows have been specified, or once windowManager.open has been used. A heartbeatInterval of null turns it off
+    */
+    return storageOptions.heartbeatInterval != null && (storageOptions.subscriberWindows.length > 0 || usesWindowManager)
+}
+
+const removeWindowEntry = (registration) => updateWindowRegistry(registration, registry => {
+    delete registry[window.name]
+})
+
+const joinWindowRegistry = (registration, store) => {
+    /* 
+    adds a store to this window's registration. The first store to join registers the window, and keeps its entry alive with a heartbeat
+    */
+    registration.stores.add(store);
+
+    // unnamed windows cannot be told apart, so they are not registered
+    if (registration.heartbeat || !window.name) return;
+
+    const { storage, registryKey, windowTimeout, heartbeatInterval } = registration.storageOptions;
+
+    // follow changes made to the registry by other windows
+    registration.unsubscribe = storage.subscribe(registryKey, storedValue => {
+        setWindowRegistry(registration, pruneWindowRegistry(parseWindowRegistry(storedValue), windowTimeout))
+    })
+
+    const heartbeat = () => updateWindowRegistry(registration, registry => {
+        // a window that is already registered (e.g. by the window that opened it, or before a Provider was remounted) keeps its parent and opened time
+        const entry = registry[window.name];
+        const now = Date.now();
+        registry[window.name] = {
+            name: window.name,
+            parent: entry ? entry.parent : getParentWindowName(),
+            openedAt: entry ? entry.openedAt : now,
+            lastHeartbeat: now
+        }
+    })
+
+    heartbeat();
+    registration.heartbeat = setInterval(heartbeat, heartbeatInterval);
+}
+
+const leaveWindowRegistry = (registration, store) => {
+    /* 
+    removes a store from this window's registration. Once the last store has left, the window is removed from the registry
+    */
+    registration.stores.delete(store);
+    if (registration.stores.size) return;
+
+    if (registration.heartbeat) {
+        clearInterval(registration.heartbeat);
+        registration.unsubscribe();
+        removeWindowEntry(registration);
+    }
+    WINDOW_REGISTRATIONS.delete(registration.storageOptions.registryKey);
+}
+
+
+// ========================== DEFAULT OPTIONS ==========================
+
+
+const DEFAULT_OPTIONS = {
+    dynamicSetters: true,
+    dynamicGetters: true,
+    allowSetterOverwrite: true,
+    developmentWarnings: true,
+    overwriteProtectionLevel: 1,
+    nestedSetters: false,
+    nestedGetters: true,
+    arraySetters: true,
+    history: false,
+    ssr: false,
+    schemaValidationLevel: 1
+}
+
+const DEFAULT_HISTORY_OPTIONS = {
+    limit: 100,
+    paths: [],
+    coalesceWindow: 0
+}
+
+// what happens to storage and child windows when a Provider unmounts (see cleanUp)
+const UNMOUNT_BEHAVIORS = ["all", "clearStorage", "closeWindows", "none"]
+
+const DEFAULT_STORAGE_OPTIONS = {
+    name: null,
+    unmountBehavior: "none",
+    initializeFromLocalStorage: false,
+    subscriberWindows: [],
+    removeChildrenOnUnload: true,
+    clearStorageOnUnload: true,
+    privateStatePaths: [],
+    storage: "localStorage",
+    version: null,
+    migrations: {},
+    transport: "storage",
+    permissions: null,
+    permissionLevel: 1,
+    heartbeatInterval: 1000,
+    windowTimeout: 5000
+}
+
+const PROTECTED_NAMESPACES = [
+    "props",
+    "context",
+    "refs",
+    "updater",
+    "state",
+    "setters",
+    "getters",
+    "reducers",
+    "generateDispatchers",
+    "reducersWithDispatchers",
+    "methods",
+    "_boundNamespacedMethods",
+    "bindToLocalStorage",
+    "storageOptions",
+    "updateStateFromLocalStorage",
+    "setStateMaster",
+    "setState",
+    "_reactInternals",
+    "_reactInternalInstance",
+    "windows",
+    "_value",
+    "_listeners",
+    "_subscription",
+    "_actions",
+    "_history",
+    "historyOptions",
+    "_unsubscribeFromStorage",
+    "computed",
+    "_computeValues",
+    "asyncMethods",
+    "asyncStatus",
+    "addStateKeys",
+    "registerStateKeys",
+    "batch",
+    "createBatchActions",
+    "rootReducer",
+    "dispatch",
+    "getState",
+    "subscribe",
+    "_subscribers",
+    "_notify",
+    "connect",
+    "_connected",
+    "actions",
+    "_isolated",
+    "_ownsStore",
+    "disconnect",
+    "cleanUp",
+    "_handleUnload",
+    "_windowListeners",
+    "_windowRegistration",
+    "_getWindowRegistry",
+    "_joinWindowRegistry",
+    "_usesWindowManager"
+]
+
+// maps each CF context to the internal context that distributes the Provider's subscription object (used by `useCantus`)
+const SUBSCRIPTION_CONTEXTS = new WeakMap()
+
+
+// ========================== CANTUS_FIRMUS CLASS ==========================
+
+class CantusFirmus {
+    constructor(state, options = {}) {
+        this.context = createContext(null);
+        this.state = state;
+        // kept separately, as this.state may be replaced with stored state (see connectToLocalStorage)
+        this.defaultState = state;
+
+        // internal context used by the useCantus hook to subscribe to state changes without consuming this.context directly
+        this.subscriptionContext = createContext(null);
+        SUBSCRIPTION_CONTEXTS.set(this.context, this.subscriptionContext);
+
+        // split contexts: stateContext only distributes state, actionsContext distributes a stable object of setters, getters, methods, etc. that never changes for the life of a Provider
+        this.stateContext = createContext(null);
+        this.actionsContext = createContext(null);
+
+        this.setters = {};
+        this.getters = {};
+        this.reducers = {};
+        this.sliceReducers = {};
+        this.constants = {};
+        this.methods = {};
+        this.namespacedMethods = {};
+        this.computed = {};
+        this.asyncMethods = {};
+        this.middleware = [];
+
+        // the stores of the mounted Providers created by this instance, with the number of Providers using each (used by cf.batch)
+        this._providers = new Map();
+
+        // stores created with createStore (which can be passed to a Provider's store prop)
+        this._stores = new WeakSet();
+
+        // OPTIONS
+        this.options = { ...DEFAULT_OPTIONS, ...options }
+
+        this.dynamicSetters = this.options.dynamicSetters
+        this.dynamicGetters = this.options.dynamicGetters
+        this.allowSetterOverwrite = this.options.allowSetterOverwrite
+        this.developmentWarnings = this.options.developmentWarnings
+        this.overwriteProtectionLevel = this.options.overwriteProtectionLevel
+        this.nestedSetters = this.options.nestedSetters
+        this.arraySetters = this.options.arraySetters
+
+        // server side rendering safe mode. All window and storage access is deferred until the Provider mounts on the client
+        this.ssr = this.options.ssr || typeof window === "undefined"
+
+        this.schemaValidationLevel = this.options.schemaValidationLevel
+
+        // initialize blank storageOptions (will be populated later if user chooses)
+        this.storageOptions = {}
+
+        // Local Storage Connection
+        this.bindToLocalStorage = false
+
+        // undo/redo history can be enabled directly through the options (true or a history options object)
+        if (this.options.history) this.connectHistory(this.options.history === true ? {} : this.options.history)
+
+    }
+
+    addCustomSetters(setters) {
+        this.setters = setters
+    }
+
+    ignoreSetters(settersArr) {
+
+        settersArr = settersArr.map(s => {
+            return Array.isArray(s)
+                ? s.join("_")
+                : s
+        })
+
+        this.ignoredSetters = settersArr || []
+    }
+
+    addCustomGetters(getters) {
+        this.getters = getters
+    }
+
+    ignoreGetters(gettersArr) {
+
+        gettersArr = gettersArr.map(g => {
+            return Array.isArray(g)    
+                ? g.join("_") 
+                : g
+        })
+
+        this.ignoredGetters = gettersArr || []
+    }
+
+    addReducers(reducers) {
+        // reducers are either functions with the signature (state, action), or case maps (objects of case reducers with the signature (state, payload))
+        for (let name of Object.keys(reducers)) {
+            const reducer = reducers[name];
+            if (typeof reducer === "function") continue;
+
+            if (!reducer || typeof reducer !== "object" || Object.keys(reducer).some(caseName => typeof reducer[caseName] !== "function")) throw new Error(`The reducer, ${name}, must either be a function with the signature (state, action), or an object of case reducers with the signature (state, payload).`)
+            if (Object.prototype.hasOwnProperty.call(reducer, "actions")) throw new Error(`The reducer, ${name}, has a case called 'actions'. 'actions' is used for the generated action creators, and cannot be used as a case name. Please select a different name.`)
+        }
+        this.reducers = reducers
+    }
+
+    addSliceReducers(sliceReducers) {
+        // slice reducers are named after the state key they manage (like redux's combineReducers)
+        for (let key of Object.keys(sliceReducers)) {
+            if (!this.state || !Object.prototype.hasOwnProperty.call(this.state, key)) throw new Error(`The slice reducer, ${key}, was provided in 'addSliceReducers', but ${key} is not a key in state. Slice reducers must be named after the state key they manage.`)
+            if (typeof sliceReducers[key] !== "function") throw new Error(`The slice reducer, ${key}, must be a function that takes the value of state.${key} and an action, and returns the new value.`)
+        }
+        this.sliceReducers = { ...this.sliceReducers, ...sliceReducers }
+    }
+
+    addConstants(newConstants) {
+        this.constants = { ...this.constants, ...newConstants }
+    }
+
+    addComputed(computed) {
+        // computed names share the dependency namespace with state keys in subscribe, so they must not collide
+        for (let name of Object.keys(computed)) {
+            if (this.state && Object.prototype.hasOwnProperty.call(this.state, name)) throw new Error(`The computed value, ${name}, was provided in 'addComputed', but ${name} is already a key in state. Please select a different name.`)
+            if (typeof computed[name] !== "function") throw new Error(`The computed value, ${name}, must be a function that takes state and returns the computed value.`)
+        }
+        this.computed = { ...this.computed, ...computed }
+    }
+
+    addMethods(methods) {
+        this.methods = methods;
+    }
+
+    addAsyncMethods(asyncMethods) {
+        this.asyncMethods = { ...this.asyncMethods, ...asyncMethods };
+    }
+
+    addNamespacedMethods(methodsMap){
+        this.namespacedMethods = methodsMap;
+    }
+
+    defineSchema(schema) {
+        checkSchemaDefinition(schema)
+        this.schema = schema
+    }
+
+    addMiddleware(middleware) {
+        if (typeof middleware !== "function") throw new Error("addMiddleware requires a function with the signature (prevState, partialUpdate, meta, next).")
+        this.middleware = [...this.middleware, middleware]
+    }
+
+    rename(nameMap) {
+        this.renameMap = nameMap || {}
+    }
+
+    connectToLocalStorage(options = {}) {
+        this.bindToLocalStorage = true
+        this.storageOptions = { ...DEFAULT_STORAGE_OPTIONS, ...options }
+
+        // if no name is specified, throw an error, as this is a required field to manage multiple localStorage instances
+        if (!this.storageOptions.name) throw new Error("When connecting your cf instance to the local storage, you must provide an unique name (string) to avoid conflicts with other local storage parameters.")
+
+        if (this.storageOptions.permissions) this.storageOptions.permissions = normalizePermissions(this.storageOptions.permissions)
+
+        if (this.storageOptions.heartbeatInterval != null && !(this.storageOptions.windowTimeout > this.storageOptions.heartbeatInterval)) throw new Error("The windowTimeout option must be greater than the heartbeatInterval option. Otherwise, open windows would be removed from the window registry between heartbeats.")
+
+        if (!UNMOUNT_BEHAVIORS.includes(this.storageOptions.unmountBehavior)) throw new Error(`The unmountBehavior option must be one of ${UNMOUNT_BEHAVIORS.map(behavior => `"${behavior}"`).join(", ")}. Received: ${this.storageOptions.unmountBehavior}`)
+
+        // resolve the storage option into an adapter (localStorage by default)
+        this.storageOptions.storage = resolveStorageAdapter(this.storageOptions.storage)
+        // the unresolved transport option is kept so that isolated Providers (see storageKey) can create their own transport
+        this.storageOptions.transportOption = this.storageOptions.transport
+        this.storageOptions.transport = resolveTransport(this.storageOptions.transport, this.storageOptions)
+        const storage = this.storageOptions.storage
+
+        // default the provider window name to the localStorage name if providerWindow param not given
+        this.storageOptions.providerWindow = this.storageOptions.providerWindow || this.storageOptions.name
+
+        // every window of the family shares one window registry (including isolated Providers saved under their own key)
+        this.storageOptions.registryKey = `${this.storageOptions.name}:windows`
+
+        // in ssr mode, the window is named and stored state is loaded by the Provider once it mounts on the client
+        if (this.ssr) return
+
+        nameWindow(this.storageOptions)
+
+        // async adapters cannot be read here. Their state is loaded by the Provider once it mounts
+        if (storage.async) return
+
+        this.state = loadStoredState(this.state, this.storageOptions, this.developmentWarnings, this.schema)
+    }
+
+    serialize(providerState = this.state) {
+        /* 
+        converts state into a JSON string that can be safely embedded in a server rendered <script> tag, and passed to the Provider's initialState prop on the client
+        */
+        return JSON.stringify(providerState)
+            .replace(/</g, "\\u003c")
+            .replace(/\u2028/g, "\\u2028")
+            .replace(/\u2029/g, "\\u2029")
+    }
+
+    batch(callback) {
+        /* 
+        runs a batch of updates (see the Provider's batch method) on the mounted Provider
+        */
+        const [provider, ...others] = this._providers.keys();
+
+        if (!provider) throw new Error("cf.batch was called before a Provider was mounted. Batches can only be run once the Provider has mounted.")
+        if (others.length) throw new Error("cf.batch was called while more than one Provider is mounted. Use the batch function from the context of the desired Provider instead.")
+
+        return provider.batch(callback)
+    }
+
+    connectHistory(options = {}) {
+        this.historyOptions = { ...DEFAULT_HISTORY_OPTIONS, ...options }
+
+        // normalize all tracked paths to arrays so top level and nested paths can be handled the same way
+        this.historyOptions.paths = this.historyOptions.paths.map(path => Array.isArray(path) ? path : [path])
+    }
+
+    createStore(options = {}) {
+        /* 
+        creates a headless store, with the same state, setters, getters, methods, etc. that a Provider distributes, for use outside of React
+        */
+        const Store = this.createStoreClass();
+        const store = new Store(options);
+        this._stores.add(store);
+
+        // connect to storage and other windows right away (a Provider does this when it mounts)
+        if (!this.ssr) store.connect();
+        return store
+    }
+
+    createStoreClass() {
         // copy instance properties/methods
         const Context = this.context;
+        const SubscriptionContext = this.subscriptionContext;
+        const StateContext = this.stateContext;
+        const ActionsContext = this.actionsContext;
         const state = this.state;
         let constants = this.constants
         let reducers = this.reducers
+        let sliceReducers = this.sliceReducers
+
+        // case map reducers are converted into reducer functions. Case maps named after a state key only manage that key (like slice reducers)
+        const rootReducers = {};
+        const rootSliceReducers = { ...sliceReducers };
+        for (let name of Object.keys(reducers)) {
+            if (typeof reducers[name] === "function") {
+                rootReducers[name] = reducers[name];
+            } else if (this.state && Object.prototype.hasOwnProperty.call(this.state, name)) {
+                if (rootSliceReducers[name]) throw new Error(`The reducer, ${name}, was provided in both 'addReducers' and 'addSliceReducers'. Only one reducer can manage the state key, ${name}.`)
+                rootSliceReducers[name] = createCaseReducer(name, reducers[name]);
+            } else {
+                rootReducers[name] = createCaseReducer(name, reducers[name]);
+            }
+        }
         let methods = this.methods;
         let namespacedMethods = this.namespacedMethods;
+        let computed = this.computed;
+        let asyncMethods = this.asyncMethods;
+        // schema validation runs after any user defined middleware, so transformed updates are also validated
+        let middleware = [
+            ...this.middleware,
+            // windows with write permissions can only change the state they are allowed to
+            ...(this.bindToLocalStorage && this.storageOptions.permissions ? [createPermissionsMiddleware(this.storageOptions, this.developmentWarnings)] : []),
+            ...(this.schema ? [createSchemaMiddleware(this.schema, this.developmentWarnings, this.schemaValidationLevel)] : [])
+        ];
         let ignoredSetters = this.ignoredSetters;
         let ignoredGetters = this.ignoredGetters;
         let renameMap = this.renameMap || {}
 
         const bindToLocalStorage = this.bindToLocalStorage;
         const storageOptions = this.storageOptions
+        const historyOptions = this.historyOptions;
+        const developmentWarnings = this.developmentWarnings;
+        const schema = this.schema;
+        // the default state, before any stored state was loaded into it
+        const defaultState = this.defaultState;
+        // the options needed to generate setters and getters for keys added after the store is created (see addStateKeys)
+        const generatorOptions = {
+            dynamicSetters: this.dynamicSetters,
+            dynamicGetters: this.dynamicGetters,
+            nestedSetters: this.nestedSetters,
+            nestedGetters: this.nestedGetters,
+            arraySetters: this.arraySetters
+        }
         let setters,
             getters;
 
+        // in ssr mode, no window or storage access can happen until the store is connected (when the Provider mounts on the client)
+        const ssr = this.ssr;
+
         // initialize local storage with state
-        // also check to make sure that any state paths marked as private are removed before setting local storage
-        if (storageOptions.name) {
-            const authorizedState = cleanState(state, storageOptions.privateStatePaths)
-            storageOptions.name && localStorage.setItem(storageOptions.name, JSON.stringify(authorizedState))
-        }
+        if (bindToLocalStorage && !ssr) publishInitialState(state, storageOptions, developmentWarnings)
 
 
         // Pre class definition setup
@@ -428,9 +1633,9 @@ class CantusFirmus {
 
         // SETTER CREATION
         if (this.allowSetterOverwrite) {
-            setters = this.dynamicSetters ? { ...createStateSetters(state, ignoredSetters, this.nestedSetters), ...this.setters } : { ...this.setters };
+            setters = this.dynamicSetters ? { ...createStateSetters(state, ignoredSetters, this.nestedSetters, this.arraySetters), ...this.setters } : { ...this.setters };
         } else {
-            let dynamicSetters = createStateSetters(state, ignoredSetters)
+            let dynamicSetters = createStateSetters(state, ignoredSetters, false, this.arraySetters)
             const dynamicKeys = Object.keys(dynamicSetters);
 
             for (let key of Object.keys(this.setters)) {
@@ -451,34 +1656,40 @@ class CantusFirmus {
                     delete this.setters[key]
                 }
             }
-            setters = this.dynamicSetters ? { ...createStateSetters(state, ignoredSetters, this.nestedSetters), ...this.setters } : { ...this.setters };
+            setters = this.dynamicSetters ? { ...createStateSetters(state, ignoredSetters, this.nestedSetters, this.arraySetters), ...this.setters } : { ...this.setters };
         }
 
-        // define Provider class component
-        class Provider extends PureComponent {
-            constructor(props) {
-                super(props);
+        // define the Store class. It holds all state logic, so it can be used on its own (cf.createStore) or through a Provider
+        class Store {
+            constructor(options = {}) {
+
+                // stores with a storageKey are isolated: they start from the default state (rather than the state stored under the instance's name), and are stored and shared under their own key
+                this._isolated = Boolean(bindToLocalStorage && options.storageKey);
+                this.storageOptions = this._isolated ? createKeyedStorageOptions(storageOptions, options.storageKey) : storageOptions;
+                const baseState = this._isolated ? defaultState : state;
 
                 // setup state depending on where it is coming from (previously defined state or local storage)
-                if(storageOptions.initializeFromLocalStorage){
-                    if(!!localStorage[storageOptions.name]) {
-                        try{
-                            this.state = {...state, ...JSON.parse(localStorage.getItem(storageOptions.name))}
-                        } catch(err){
-                            this.state = state
-                        }
-                    } else {
-                        this.state = state
-                    }
+                // state dehydrated on the server (see cf.serialize) is applied before any persisted state
+                const initialState = options.initialState ? { ...baseState, ...options.initialState } : baseState;
+
+                if (this._isolated && !this.storageOptions.storage.async && !ssr) {
+                    this.state = loadStoredState(initialState, this.storageOptions, developmentWarnings, schema)
+                } else if(this.storageOptions.initializeFromLocalStorage && !this.storageOptions.storage.async && !ssr){
+                    const storedState = parseStoredState(this.storageOptions.storage.getItem(this.storageOptions.name), this.storageOptions, developmentWarnings, schema)
+                    this.state = storedState ? { ...initialState, ...storedState } : initialState
                 } else {
-                    this.state = state;
+                    this.state = initialState;
                 }
 
                 // this.state = state
-                this.setters = bindMethods(setters, this);
+                this.setters = bindMethodsWithMeta(setters, this, "customSetter");
                 this.getters = bindMethods(getters, this);
                 this.constants = constants;
 
+                // computed values are cached per store
+                this._computeValues = createComputedValues(computed);
+                this.computed = this._computeValues(this.state);
+
                 // set this.reducers to the reducers added in the CantusFirmus Class 
                 this.reducers = reducers
                 // bind generateDispatchers
@@ -486,52 +1697,166 @@ class CantusFirmus {
                 // Create reducers that are copies in name of the previously added reducers
                 // Then, give a dispatch method to each that will execute the actual reducer
                 this.reducersWithDispatchers = this.generateDispatchers(reducers)
+                // a single reducer that routes dispatched actions to every reducer and slice reducer
+                this.rootReducer = combineReducers(rootReducers, rootSliceReducers)
+                this.dispatch = this.dispatch.bind(this);
 
                 // Bind methods
-                this.methods = bindMethods(methods, this);
+                this.methods = bindMethodsWithMeta(methods, this, "method");
                 // create and bind namespaced methods
                 this._boundNamespacedMethods = {};
                 
                 for(let [key, methodGroup] of Object.entries(namespacedMethods)){
                     if(PROTECTED_NAMESPACES.includes(key)) throw new Error(`The namespace, ${key}, was provided as a key in 'addNamespacedMethods'. ${key} is a protected value, and cannot be reassigned. Please select a different name.`)
 
-                    this._boundNamespacedMethods[key] = bindMethods(methodGroup, this)
+                    this._boundNamespacedMethods[key] = bindMethodsWithMeta(methodGroup, this, "method", key)
                     // add the namespaced values to `this` so they are accessible in other bound functions (setters, other methods)
                     this[key] = this._boundNamespacedMethods[key]
                 }
 
                 this.bindToLocalStorage = bindToLocalStorage;
-                this.storageOptions = storageOptions;
 
-                this.updateStateFromLocalStorage = this.updateStateFromLocalStorage.bind(this);
+                // the props of the Provider rendering the store (passed to functional updates as their second argument). Headless stores have none
+                this.props = {};
 
-                // Save master version of setState prior to reassignment
-                this.setStateMaster = this.setState;
+                this.updateStateFromLocalStorage = this.updateStateFromLocalStorage.bind(this);
+                this.addStateKeys = this.addStateKeys.bind(this);
+                this.batch = this.batch.bind(this);
+
+                // functions subscribed to state changes (see subscribe)
+                this._subscribers = new Set();
+
+                // setState returns a promise, runs any middleware, and by default, handles localStorage changes
+                // meta describes where the update came from (dynamic setter, custom setter, method, reducer) and is passed to middleware
+                this.setState = function (state, callback = () => { }, meta = { type: "setState" }) {
+                    return new Promise((resolve, reject) => {
+                        const commit = update => {
+                            // functional updates are applied to the latest state, so successive updates are never lost
+                            const partialUpdate = typeof update === "function" ? update(this.state, this.props) : update;
+                            const prevState = this.state;
+                            if (partialUpdate) {
+                                this.state = { ...this.state, ...partialUpdate };
+                                this.computed = this._computeValues(this.state);
+                            }
 
-                // Reassign setState function to return a promise, and by default, handle localStorage changes
-                this.setState = function (state, callback = () => { }) {
-                    return new Promise(resolve => {
-                        this.setStateMaster(state, () => {
                             // handle local storage updates to state
-                            if (this.bindToLocalStorage) {
-                                if (this.storageOptions.privateStatePaths.length && window.name === this.storageOptions.providerWindow) { // if there are any private paths that need to be removed (only proceed if fired from the provider window)
+                            // updates received from other windows are not published again, otherwise windows would keep sending the same update back and forth
+                            if (this.bindToLocalStorage && meta.type !== "storage") {
+                                // if there are any private paths that need to be removed. This applies to every window: subscriber windows may hold default values for private paths (e.g. when nothing was stored), which must never overwrite the provider window's values
+                                if (this.storageOptions.privateStatePaths.length) {
                                     const authorizedState = cleanState(this.state, this.storageOptions.privateStatePaths)
                                     // const authorizedState = { ...this.state }
                                     // for (let path of this.storageOptions.privateStatePaths) {
                                     //     delete authorizedState[path]
                                     // }
-                                    localStorage.setItem(this.storageOptions.name, JSON.stringify(authorizedState))
+                                    publishState(authorizedState, this.storageOptions, developmentWarnings)
                                 } else {
-                                    localStorage.setItem(this.storageOptions.name, JSON.stringify(this.state))
+                                    publishState(this.state, this.storageOptions, developmentWarnings)
                                 }
                             }
+                            // record a history snapshot (changes made by undo/redo are not recorded)
+                            if (this._history && meta.type !== "history") this.recordHistory(meta)
+
+                            this._notify(prevState)
+
                             callback(this.state)
                             resolve(this.state)
-                        })
+                        }
+
+                        if (!middleware.length) return commit(state)
+
+                        const runUpdate = () => {
+                            // functional updates are resolved so middleware always receive an object
+                            const baseState = this.state;
+                            const partialUpdate = typeof state === "function" ? state(baseState, this.props) : state
+                            runMiddleware(middleware, baseState, partialUpdate, meta, {
+                                commit: update => {
+                                    // middleware may delay updates. If other updates were committed in the meantime, a functional update is resolved against the latest state and passed through the middleware again, so successive updates are never lost, and only values the middleware have seen are committed
+                                    if (typeof state === "function" && this.state !== baseState) return runUpdate();
+                                    commit(update)
+                                },
+                                veto: () => resolve(this.state), // vetoed updates resolve with the unchanged state
+                                onError: reject
+                            })
+                        }
+                        runUpdate()
                     })
                 }
 
                 this.setState = this.setState.bind(this);
+                this.getState = this.getState.bind(this);
+                this.subscribe = this.subscribe.bind(this);
+
+                // initialize undo/redo history with the initial state as the present entry
+                if (historyOptions) {
+                    this._history = {
+                        past: [],
+                        present: createSnapshot(this.state, historyOptions.paths),
+                        future: [],
+                        lastRecorded: null
+                    }
+                }
+
+                // bind async methods, and initialize the status of each to idle
+                this.asyncStatus = {};
+                this.asyncMethods = this.createAsyncMethods();
+
+                // create the actions (everything in the context value except state) once, so that actionsContext consumers never re-render
+                this._actions = this.createActions();
+                // public reference for headless stores (see cf.createStore)
+                this.actions = this._actions;
+            }
+
+            getState() {
+                return this.state
+            }
+
+            subscribe(listener) {
+                /* 
+                calls the listener with (state, prevState) after every state update. Returns an unsubscribe function
+                */
+                this._subscribers.add(listener);
+                return () => this._subscribers.delete(listener)
+            }
+
+            _notify(prevState = this.state) {
+                for (let listener of this._subscribers) {
+                    listener(this.state, prevState)
+                }
+            }
+
+            createActions() {
+                const actions = {
+                    setters: this.setters,
+                    getters: this.getters,
+                    methods: this.methods,
+                    constants: this.constants,
+                    addStateKeys: this.addStateKeys,
+                    batch: this.batch,
+                    ...this._boundNamespacedMethods, // expand any namespaced methods into the distributed value
+                }
+
+                // add reducers with dispatchers
+                if (Object.keys(reducers).length) actions.reducers = this.reducersWithDispatchers
+
+                if (Object.keys(reducers).length || Object.keys(sliceReducers).length) actions.dispatch = this.dispatch
+
+                if (Object.keys(asyncMethods).length) actions.asyncMethods = this.asyncMethods
+
+                // initialize a window manager if within a multi-window state management system
+                if (this.bindToLocalStorage) actions.windowManager = this.createWindowManager();
+
+                // add undo/redo controls if history has been connected
+                if (this._history) actions.history = this.createHistoryManager();
+
+                // reassign the renamed values in 'this' for reference in across method types (setters, methods, etc.)
+                for (let key of Object.keys(renameMap)) {
+                    if (PROTECTED_NAMESPACES.includes(renameMap[key])) throw new Error(`The name, ${renameMap[key]}, was provided in call to '.rename'. ${renameMap[key]} is a protected value and cannot be reassigned. Please select a different name.`)
+
+                    if (actions[key]) this[renameMap[key]] = this[key];
+                }
+
+                return renameKeys(actions, renameMap)
             }
 
             generateDispatchers(reducers) {
@@ -540,34 +1865,222 @@ class CantusFirmus {
                 // define a dispatcher factory to handle the creation of new dispatchers
                 const dispatcherFactory = function (reducerKey) {
                     return function (state, action) {
-                        return new Promise(resolve => {
-                            this.setStateMaster(this.reducers[reducerKey](state, action), updatedState => resolve(updatedState))
-                        })
+                        return this.setState(this.reducers[reducerKey](state, action), undefined, { type: "reducer", name: reducerKey, action })
                     }
                 }
 
                 let dispatch;
                 for (let reducer in reducers) {
-                    dispatch = dispatcherFactory(reducer).bind(this);
-                    reducersWithDispatchers[reducer] = { dispatch }
+                    if (typeof reducers[reducer] === "function") {
+                        dispatch = dispatcherFactory(reducer).bind(this);
+                        reducersWithDispatchers[reducer] = { dispatch }
+                        continue;
+                    }
+
+                    // case map reducers get an action creator, and a dispatch function bound to it, for each case
+                    const actionCreators = createActionCreators(reducer, reducers[reducer]);
+                    reducersWithDispatchers[reducer] = { actions: actionCreators };
+                    for (let caseName of Object.keys(actionCreators)) {
+                        reducersWithDispatchers[reducer][caseName] = payload => this.dispatch(actionCreators[caseName](payload))
+                    }
                 }
 
                 return reducersWithDispatchers
             }
 
-            updateStateFromLocalStorage() {
+            addStateKeys(newState = {}, callback) {
+                /* 
+                adds new keys to state after the store has been created, and generates their setters and getters.
+                Keys that already exist in state (or as computed values) are ignored.
+                */
+                const added = {};
+                for (let key of Object.keys(newState)) {
+                    if (key in this.state || key in this.computed) {
+                        developmentWarnings && console.warn(`The key, '${key}', passed to addStateKeys already exists in state or computed values and was ignored. Use its setter to update its value instead.`)
+                        continue;
+                    }
+                    added[key] = newState[key];
+                }
+
+                if (!Object.keys(added).length) return Promise.resolve(this.state);
+
+                this.registerStateKeys(added);
+                return this.setState(added, callback, { type: "addStateKeys", name: "addStateKeys" })
+            }
+
+            batch(callback) {
+                /* 
+                runs a callback that makes any number of state updates, and commits them all at once: one render, one storage write and one broadcast to other windows.
+                If the callback throws (or rejects), none of its updates are applied.
+                Only updates made through the actions passed to the callback are part of the batch. Any other update (e.g. from another window, or an undo) is committed right away, and the batch's changes are applied on top of it
+                */
+                const batch = {
+                    changes: {}, // the keys changed by the batch
+                    updates: [], // the meta of each update, passed along to middleware
+                    callbacks: [],
+                    // the working state: the latest committed state, with the batch's changes applied
+                    getState: () => ({ ...this.state, ...batch.changes }),
+                    add: (update, callback, meta) => {
+                        const partialUpdate = typeof update === "function" ? update(batch.getState()) : update;
+                        Object.assign(batch.changes, partialUpdate);
+                        batch.updates.push(meta);
+                        batch.callbacks.push(callback);
+                        // resolve right away so updates can be awaited within the batch, but hold callbacks until the batch has been committed
+                        return Promise.resolve(batch.getState())
+                    }
+                }
+                batch.api = this.createBatchActions(batch);
 
+                let result;
                 try {
-                    this.setState({ ...this.state, ...JSON.parse(window.localStorage.getItem(storageOptions.name)) })
-                } catch (err) { // bug check: is this still needed?
-                    const updatedState = typeof localStorage[storageOptions.name] === "string"
-                        ?
-                        { ...this.state, ...JSON.parse(localStorage[storageOptions.name]) }
-                        :
-                        { ...this.state }
+                    result = callback(batch.api);
+                } catch (err) {
+                    return Promise.reject(err)
+                }
+
+                return Promise.resolve(result).then(() => {
+                    // only the keys that have changed are committed
+                    const changes = {};
+                    for (let key of Object.keys(batch.changes)) {
+                        if (batch.changes[key] !== this.state[key]) changes[key] = batch.changes[key];
+                    }
+                    if (!Object.keys(changes).length) return this.state
+
+                    return this.setState(
+                        changes,
+                        state => batch.callbacks.forEach(cb => cb && cb(state)),
+                        { type: "batch", name: "batch", updates: batch.updates }
+                    )
+                })
+            }
+
+            createBatchActions(batch) {
+                /* 
+                creates the actions passed to a batch callback. They are bound to a view of the store whose state is the batch's working state, and whose setState adds updates to the batch
+                */
+                const view = Object.create(this);
+                Object.defineProperty(view, "state", { get: () => batch.getState() });
+                view.getState = batch.getState;
+                view.setState = (state, callback = () => { }, meta = { type: "setState" }) => batch.add(state, callback, meta);
+
+                view.setters = rebindMethods(this.setters, view);
+                view.getters = rebindMethods(this.getters, view);
+                view.methods = rebindMethods(this.methods, view);
+                const namespaced = {};
+                for (let key of Object.keys(this._boundNamespacedMethods)) {
+                    namespaced[key] = view[key] = rebindMethods(this._boundNamespacedMethods[key], view);
+                }
+                view.dispatch = Store.prototype.dispatch.bind(view);
+                view.reducersWithDispatchers = Store.prototype.generateDispatchers.call(view, reducers);
+
+                // keys added within the batch get their setters and getters in the store, and in the batch's actions
+                view.registerStateKeys = newState => {
+                    this.registerStateKeys(newState);
+                    for (let group of ["setters", "getters"]) {
+                        const added = {};
+                        for (let name of Object.keys(this[group])) {
+                            if (!(name in view[group])) added[name] = this[group][name];
+                        }
+                        Object.assign(view[group], rebindMethods(added, view));
+                    }
+                }
+                view.addStateKeys = Store.prototype.addStateKeys.bind(view);
+
+                // a batch started within a batch becomes part of it
+                view.batch = callback => Promise.resolve(callback(batch.api)).then(() => batch.getState());
+
+                const actions = {
+                    setters: view.setters,
+                    getters: view.getters,
+                    methods: view.methods,
+                    addStateKeys: view.addStateKeys,
+                    batch: view.batch,
+                    ...namespaced
+                }
+                if (Object.keys(reducers).length) actions.reducers = view.reducersWithDispatchers
+                if (Object.keys(reducers).length || Object.keys(sliceReducers).length) actions.dispatch = view.dispatch
+
+                // renamed values are also reassigned in the view, for reference across method types
+                for (let key of Object.keys(renameMap)) {
+                    if (actions[key]) view[renameMap[key]] = actions[key];
+                }
+
+                // everything else (constants, async methods, history, etc.) is shared with the store's actions
+                return { ...this._actions, ...renameKeys(actions, renameMap), getState: batch.getState }
+            }
 
-                    this.setState(updatedState)
+            registerStateKeys(newState) {
+                /* 
+                generates setters and getters for the keys of newState, and adds them to the existing setters and getters objects.
+                The setters and getters objects are extended in place, so that the (stable) actions distributed through context include them.
+                */
+                const newSetters = generatorOptions.dynamicSetters
+                    ? bindMethodsWithMeta(createStateSetters(newState, ignoredSetters, generatorOptions.nestedSetters, generatorOptions.arraySetters), this, "customSetter")
+                    : {};
+                const newGetters = generatorOptions.dynamicGetters
+                    ? bindMethods(createStateGetters(newState, ignoredGetters, generatorOptions.nestedGetters), this)
+                    : {};
+
+                for (let [target, generated, type] of [[this.setters, newSetters, "setter"], [this.getters, newGetters, "getter"]]) {
+                    for (let name of Object.keys(generated)) {
+                        if (name in target) {
+                            developmentWarnings && console.warn(`The ${type}, '${name}', generated for a key added with addStateKeys collides with an existing ${type} of the same name. The existing ${type} has been kept.`)
+                            continue;
+                        }
+                        target[name] = generated[name];
+                    }
+                }
+            }
+
+            dispatch(action) {
+                if (!action || action.type === undefined) throw new Error("dispatch requires an action object with a type, e.g. dispatch({ type: 'ADD_TODO', payload: todo }).")
+
+                // reducers are run against the latest state (rather than this.state at call time), so successive dispatches are never lost
+                return this.setState(prevState => this.rootReducer(prevState, action), undefined, { type: "dispatch", name: action.type, action })
+            }
+
+            updateStateFromLocalStorage(storedValue = this.storageOptions.storage.getItem(this.storageOptions.name)) {
+
+                // async adapters resolve the stored value with a promise
+                if (storedValue && typeof storedValue.then === "function") {
+                    return storedValue.then(value => this.updateStateFromLocalStorage(value))
+                }
+
+                // if the stored state could not be parsed or migrated, the current state is kept
+                const storedState = parseStoredState(storedValue, this.storageOptions, developmentWarnings, schema)
+
+                // private paths are never published, so their values are kept from this window's state
+                const privatePaths = this.storageOptions.privateStatePaths.map(path => Array.isArray(path) ? path : [path]);
+                const keepPrivatePaths = newState => privatePaths.length ? overlayPaths(newState, this.state, privatePaths) : newState;
+
+                // the provider window rejects changes from windows that are not allowed to make them, and republishes its own state so every window is corrected
+                const permissions = this.storageOptions.permissions && window.name === this.storageOptions.providerWindow && this.storageOptions.permissions[getStateOrigin(storedValue)];
+                if (permissions && storedState) {
+                    // only the paths a window can read are taken from it (the rest of its state was never shared with it)
+                    const incoming = keepPrivatePaths(permissions.read ? overlayPaths(this.state, storedState, permissions.read) : { ...this.state, ...storedState });
+                    const unauthorized = permissions.write ? findUnauthorizedChanges(this.state, incoming, permissions.write) : [];
+
+                    if (unauthorized.length) {
+                        developmentWarnings && console.warn(`Changes from the window, '${getStateOrigin(storedValue)}', were rejected because it does not have permission to change: ${unauthorized.join(", ")}.`)
+                        publishState(cleanState(this.state, this.storageOptions.privateStatePaths), this.storageOptions, developmentWarnings)
+                        return
+                    }
+                    // the update is republished in full, as windows that can only read part of state only publish that part
+                    return this.setState(incoming, undefined, { type: "storage", name: "storage" })
+                        .then(state => {
+                            if (permissions.read) publishState(cleanState(state, this.storageOptions.privateStatePaths), this.storageOptions, developmentWarnings)
+                            return state
+                        })
                 }
+
+                // keys added in another window (with addStateKeys) also need setters and getters in this window
+                const newKeys = {};
+                for (let key of Object.keys(storedState || {})) {
+                    if (!(key in this.state)) newKeys[key] = storedState[key];
+                }
+                if (Object.keys(newKeys).length) this.registerStateKeys(newKeys);
+
+                this.setState(keepPrivatePaths({ ...this.state, ...storedState }), undefined, { type: "storage", name: "storage" })
             }
 
             createWindowManager() {
@@ -575,20 +2088,52 @@ class CantusFirmus {
                 // storage object for opened child windows
                 this.windows = this.windows || {};
 
+                // listeners added with windowManager.onWindowsChange
+                this._windowListeners = this._windowListeners || new Set();
+
                 // window manager methods passed to user
                 const windowManagerMethods = {
                     open(url, name, params = {}) {
                         if(!url || !name) throw new Error("windowManager.open requires two arguments: (url, name). Any names passed in must also be included in the subscriberWindows array in the `connectToLocalStorage` settings.")
                         this.windows[name] = window.open(url, name, createParamsString(params))
+
+                        // opening a window makes the app a multi-window app, so this window joins the registry (if it is enabled)
+                        this._usesWindowManager = true;
+                        this._joinWindowRegistry();
+                        if (!usesWindowRegistry(this.storageOptions, true)) return;
+
+                        // the window is registered as soon as it is opened. Once it connects, it keeps its own entry alive (or it is removed after windowTimeout)
+                        const now = Date.now();
+                        updateWindowRegistry(getWindowRegistration(this.storageOptions, developmentWarnings), registry => {
+                            registry[name] = { name, parent: window.name || null, openedAt: now, lastHeartbeat: now }
+                        })
                     },
                     close(name) {
                         if (this.windows[name]) {
                             this.windows[name].close();
                         }
                         delete this.windows[name]
+                        if (!this._windowRegistration) return;
+                        updateWindowRegistry(this._windowRegistration, registry => {
+                            delete registry[name]
+                        })
                     },
                     getChildren() {
                         return this.windows;
+                    },
+                    list() {
+                        // every open window of the family (including this one), in the order they were opened
+                        return listWindows(this._getWindowRegistry())
+                    },
+                    isOpen(name) {
+                        if (this.windows[name] && this.windows[name].closed) return false;
+                        // windows opened from this window are also known through their handles (e.g. if the registry is turned off)
+                        return Boolean(this._getWindowRegistry()[name] || this.windows[name])
+                    },
+                    onWindowsChange(listener) {
+                        // the listener is called with the list of open windows whenever a window is opened or closed
+                        this._windowListeners.add(listener);
+                        return () => this._windowListeners.delete(listener)
                     }
                 }
 
@@ -597,97 +2142,380 @@ class CantusFirmus {
 
             }
 
+            createAsyncMethods() {
+                const bound = {};
+                // the abort controller of the latest call to each method
+                const inFlight = {};
+
+                for (let name of Object.keys(asyncMethods)) {
+                    this.asyncStatus[name] = { status: "idle", error: null, result: undefined };
+
+                    bound[name] = (...args) => {
+                        // starting a new call cancels any call to the same method that is still in flight
+                        if (inFlight[name]) inFlight[name].abort();
+
+                        const controller = createAbortController();
+                        inFlight[name] = controller;
+
+                        // each call gets its own 'this' with an abort signal (that can be passed to fetch, etc.). Once a call has been cancelled, its calls to this.setState are ignored
+                        const context = Object.create(this);
+                        context.signal = controller.signal;
+                        context.setState = (state, callback, meta = { type: "asyncMethod", name }) => {
+                            return controller.signal.aborted ? Promise.resolve(this.state) : this.setState(state, callback, meta)
+                        }
+                        // setters and methods used by the call also update state through its setState, so they are ignored once it has been cancelled
+                        context.setters = rebindMethods(this.setters, context);
+                        context.methods = rebindMethods(this.methods, context);
+                        for (let key of Object.keys(this._boundNamespacedMethods)) {
+                            context[key] = rebindMethods(this._boundNamespacedMethods[key], context);
+                        }
+                        for (let key of ["setters", "methods", ...Object.keys(this._boundNamespacedMethods)]) {
+                            if (renameMap[key]) context[renameMap[key]] = context[key];
+                        }
+
+                        this.updateAsyncStatus(name, { status: "pending", error: null });
+
+                        // a cancelled call resolves with undefined (whether it finished or failed), so superseded calls never cause unhandled rejections. Only the latest call updates asyncStatus
+                        return Promise.resolve()
+                            .then(() => asyncMethods[name].apply(context, args))
+                            .then(result => {
+                                if (controller.signal.aborted) return undefined;
+                                inFlight[name] = null;
+                                this.updateAsyncStatus(name, { status: "success", result });
+                                return result
+                            }, err => {
+                                if (controller.signal.aborted) return undefined;
+                                inFlight[name] = null;
+                                this.updateAsyncStatus(name, { status: "error", error: err });
+                                throw err
+                            })
+                    }
+                }
+
+                return bound
+            }
+
+            updateAsyncStatus(name, update) {
+                // async status is kept outside of state (so it is never persisted or shared between windows), so subscribers are notified manually
+                this.asyncStatus = { ...this.asyncStatus, [name]: { ...this.asyncStatus[name], ...update } };
+                this._notify();
+            }
+
+            recordHistory(meta) {
+                const history = this._history;
+                const snapshot = createSnapshot(this.state, historyOptions.paths);
+
+                // only record changes to the tracked paths
+                if (shallowEqual(snapshot, history.present)) return;
+
+                // rapid updates from the same dynamic setter within the coalesce window are merged into a single entry
+                const now = Date.now();
+                const last = history.lastRecorded;
+                const coalesce = historyOptions.coalesceWindow > 0
+                    && meta.type === "dynamicSetter"
+                    && last
+                    && last.name === meta.name
+                    && now - last.time <= historyOptions.coalesceWindow
+
+                if (!coalesce) history.past = [...history.past, history.present].slice(-historyOptions.limit);
+
+                history.present = snapshot;
+                history.future = [];
+                history.lastRecorded = { name: meta.name, time: now };
+            }
+
+            jumpHistory(steps) {
+                const history = this._history;
+
+                // clamp the number of steps to the available entries in either direction
+                steps = steps < 0 ? Math.max(steps, -history.past.length) : Math.min(steps, history.future.length);
+                if (!steps) return Promise.resolve(this.state);
+
+                const timeline = [...history.past, history.present, ...history.future];
+                const index = history.past.length + steps;
+
+                history.past = timeline.slice(0, index);
+                history.present = timeline[index];
+                history.future = timeline.slice(index + 1);
+                history.lastRecorded = null;
+
+                return this.setState(
+                    restoreSnapshot(this.state, history.present, historyOptions.paths),
+                    undefined,
+                    { type: "history", name: steps < 0 ? "undo" : "redo" }
+                )
+            }
+
+            clearHistory() {
+                this._history = {
+                    past: [],
+                    present: createSnapshot(this.state, historyOptions.paths),
+                    future: [],
+                    lastRecorded: null
+                }
+                // canUndo/canRedo have changed without a change to state, so subscribers are notified manually
+                this._notify();
+            }
+
+            createHistoryManager() {
+                const self = this;
+
+                // history controls passed to user. canUndo and canRedo are getters so the (stable) history object always reports the current values
+                return {
+                    undo: () => this.jumpHistory(-1),
+                    redo: () => this.jumpHistory(1),
+                    jump: steps => this.jumpHistory(steps),
+                    clear: () => this.clearHistory(),
+                    get canUndo() {
+                        return self._history.past.length > 0
+                    },
+                    get canRedo() {
+                        return self._history.future.length > 0
+                    }
+                }
+            }
+
             _getWindows(){
                 return this.windows
             }
 
-            componentDidMount() {
-                
-                // When component mounts, if bindToLocalStorage has been set to true, make the window listen for storage change events and update the state 
-                // if the window is already listening for storage events, then do nothing
+            _getWindowRegistry() {
+                // the latest copy of the window registry, without any windows that have timed out since it was read
+                const registration = WINDOW_REGISTRATIONS.get(this.storageOptions.registryKey);
+                return pruneWindowRegistry(registration ? registration.registry : {}, this.storageOptions.windowTimeout)
+            }
+
+            _joinWindowRegistry() {
+                /* 
+                registers the window, so every window of the family can see that it is open (stores in the same window share one registration)
+                */
+                if (!this._connected || this._windowRegistration || !usesWindowRegistry(this.storageOptions, this._usesWindowManager)) return;
+                this._windowRegistration = getWindowRegistration(this.storageOptions, developmentWarnings);
+                joinWindowRegistry(this._windowRegistration, this);
+            }
+
+            connect() {
+                /* 
+                connects the store to storage and other windows. Providers connect their store when they mount
+                */
+                // if bindToLocalStorage has been set to true, make the window listen for updates from other windows (through the transport) and update the state 
+                // if the store is already connected, then do nothing
+                if (this._connected) return;
+                this._connected = true;
+
                 if (bindToLocalStorage) {
-                    window.addEventListener("storage", () => {
-                        this.updateStateFromLocalStorage()
+                    this._unsubscribeFromStorage = this.storageOptions.transport.subscribe(storedValue => {
+                        this.updateStateFromLocalStorage(storedValue)
                     })
                 }
 
+                // isolated stores publish their initial state under their own key (the instance's key is published in createStoreClass)
+                if (bindToLocalStorage && this._isolated && !ssr) publishInitialState(this.state, this.storageOptions, developmentWarnings)
+
+                // in ssr mode, the window connection that would normally happen in connectToLocalStorage and createStoreClass happens here, after hydration
+                if (bindToLocalStorage && ssr) {
+                    nameWindow(this.storageOptions)
+
+                    const loadedState = this.storageOptions.storage.async ? this.state : loadStoredState(this.state, this.storageOptions, developmentWarnings, schema)
+                    if (loadedState !== this.state) {
+                        // loading the shared state is not a local write (so it is not checked against write permissions). Once loaded, it is published like the initial state
+                        this.setState(loadedState, undefined, { type: "storage", name: "storage" })
+                            .then(
+                                state => publishInitialState(state, this.storageOptions, developmentWarnings),
+                                err => developmentWarnings && console.warn(`The state stored under '${this.storageOptions.name}' could not be loaded.`, err)
+                            )
+                    } else {
+                        publishInitialState(this.state, this.storageOptions, developmentWarnings)
+                    }
+                }
+
+                // state stored with an async adapter can only be loaded once the store is connected
+                if (bindToLocalStorage && isLoadingFromAsyncStorage(this.storageOptions)) this.updateStateFromLocalStorage()
+
+                // register the window, so every window of the family can see that it is open
+                if (bindToLocalStorage) this._joinWindowRegistry()
+
                 // instruct the window what to do when it closes
                 // we define this here, and not up in the CantusFirmus class because we need access to all generated child windows
-                if (window.name === storageOptions.providerWindow || storageOptions.removeChildrenOnUnload) {
-                    
-                    function handleUnload(e) {
-                        
-                        // clear local storage only if specified by user AND the window being closed is the provider window 
-                        if (storageOptions.clearStorageOnUnload && storageOptions.providerWindow === window.name) {
-                            localStorage.removeItem(storageOptions.name)
-                        }
+                if (bindToLocalStorage) {
+                    const cleansUp = window.name === this.storageOptions.providerWindow || this.storageOptions.removeChildrenOnUnload;
+                    this._handleUnload = () => {
+                        // the entry is added again by the next heartbeat if the window does not close after all (beforeunload can be cancelled)
+                        if (window.name && this._windowRegistration) removeWindowEntry(this._windowRegistration);
+                        if (cleansUp) this.cleanUp("all");
+                    }
 
-                        // close all children (and grand children) windows if this functionality has been specified by the user
-                        if (storageOptions.removeChildrenOnUnload) {
-                            for (let w of Object.values(this._getWindows())) {
-                                w.close()
-                            }
-                        }
+                    // set the unload functionality
+                    window.addEventListener("beforeunload", this._handleUnload);
+                    window.addEventListener("unload", this._handleUnload);
+                }
+            }
+
+            disconnect() {
+                /* 
+                removes every listener added in connect. Providers disconnect their store when they unmount
+                */
+                if (!this._connected) return;
+                this._connected = false;
+
+                if (this._unsubscribeFromStorage) {
+                    this._unsubscribeFromStorage();
+                    this._unsubscribeFromStorage = null;
+                }
+
+                if (this._handleUnload) {
+                    window.removeEventListener("beforeunload", this._handleUnload);
+                    window.removeEventListener("unload", this._handleUnload);
+                    this._handleUnload = null;
+                }
+
+                if (this._windowRegistration) {
+                    leaveWindowRegistry(this._windowRegistration, this);
+                    this._windowRegistration = null;
+                }
+            }
 
-                        // return "uncomment to debug unload functionality"
+            cleanUp(behavior = "all") {
+                /* 
+                clears storage and/or closes child windows when the window closes (or the Provider unmounts).
+                behavior ("all", "clearStorage", "closeWindows" or "none") selects which of the clean up steps enabled by clearStorageOnUnload and removeChildrenOnUnload are run
+                */
+                if (!bindToLocalStorage) return;
+
+                // clear local storage only if specified by user AND the window being closed is the provider window 
+                if ((behavior === "all" || behavior === "clearStorage") && this.storageOptions.clearStorageOnUnload && this.storageOptions.providerWindow === window.name) {
+                    catchStorageWrite(this.storageOptions.storage.removeItem(this.storageOptions.name), `The state stored under '${this.storageOptions.name}' could not be cleared.`, developmentWarnings)
+                }
+
+                // close all children (and grand children) windows if this functionality has been specified by the user
+                if ((behavior === "all" || behavior === "closeWindows") && this.storageOptions.removeChildrenOnUnload) {
+                    for (let w of Object.values(this._getWindows() || {})) {
+                        w.close()
                     }
+                }
+            }
 
-                    handleUnload = handleUnload.bind(this)
+        }
 
-                    // set the unload functionality
-                    window.addEventListener("beforeunload", handleUnload);
-                    window.addEventListener("unload", handleUnload);
+        // return store class
+        return Store;
+    }
+
+    createProvider() {
+        // copy instance properties/methods
+        const Context = this.context;
+        const SubscriptionContext = this.subscriptionContext;
+        const StateContext = this.stateContext;
+        const ActionsContext = this.actionsContext;
+        const asyncMethods = this.asyncMethods;
+        const renameMap = this.renameMap || {};
+        const providers = this._providers;
+        const stores = this._stores;
 
+        // all state logic lives in the store. The Provider only distributes it through context, and re-renders when it changes
+        const Store = this.createStoreClass();
+
+        // define Provider class component
+        class Provider extends PureComponent {
+            constructor(props) {
+                super(props);
+
+                // a store created with cf.createStore can be passed in, so code outside of React shares state with the tree. The store is owned by its creator, and is never disconnected by the Provider
+                if (props.store && !stores.has(props.store)) throw new Error("The store prop of a Provider must be a store created with the createStore method of the same CantusFirmus instance.")
+                this._ownsStore = !props.store;
+
+                // otherwise, initialState and storageKey seed and isolate each mounted Provider. They are only read when the Provider is created
+                this.store = props.store || new Store({ initialState: props.initialState, storageKey: props.storageKey });
+                this.store.props = props;
+
+                // subscription object distributed to useCantus hooks. It is created once so that hook consumers are not re-rendered by the Provider itself
+                this._listeners = new Set();
+                this._subscription = {
+                    getState: () => this.store.state,
+                    getComputed: () => this.store.computed,
+                    // values outside of state that consumers may render: the status of async methods, and whether history can be undone or redone
+                    getStatus: () => {
+                        const history = this.store._history;
+                        return [this.store.asyncStatus, Boolean(history && history.past.length), Boolean(history && history.future.length)]
+                    },
+                    getValue: () => this._value,
+                    subscribe: (listener) => {
+                        this._listeners.add(listener)
+                        return () => this._listeners.delete(listener)
+                    }
                 }
             }
 
-            componentDidUpdate(prevProps, prevState) {
-                // Object.entries(this.props).forEach(([key, val]) =>
-                //     prevProps[key] !== val && console.log(`Prop '${key}' changed`)
-                // );
-                // if (this.state) {
-                //     Object.entries(this.state).forEach(([key, val]) =>
-                //         prevState[key] !== val && console.log(`State '${key}' changed`)
-                //     );
-                // }
+            componentDidMount() {
+                // register the mounted Provider's store with its CantusFirmus instance (see cf.batch)
+                providers.set(this.store, (providers.get(this.store) || 0) + 1);
+
+                // re-render whenever the store changes, and report state changes to the onChange prop
+                this._unsubscribeFromStore = this.store.subscribe((state, prevState) => {
+                    this.forceUpdate();
+                    if (this.props.onChange && state !== prevState) this.props.onChange(state, prevState);
+                });
+
+                this.store.connect();
+
+                // the store may have changed between render and subscription
+                if (this._renderedState !== this.store.state) this.forceUpdate();
+            }
+
+            componentWillUnmount() {
+                const count = providers.get(this.store) - 1;
+                count ? providers.set(this.store, count) : providers.delete(this.store);
+                this._unsubscribeFromStore();
+                this._listeners.clear();
+
+                // stores passed in through the store prop stay connected after the Provider unmounts
+                if (!this._ownsStore) return;
+
+                // clear storage and/or close child windows as specified by unmountBehavior, then remove every listener the store added
+                if (this.store.bindToLocalStorage) this.store.cleanUp(this.store.storageOptions.unmountBehavior);
+                this.store.disconnect();
+            }
+
+            addStateKeys(newState, callback) {
+                // addStateKeys is also available on the Provider instance (e.g. through a ref)
+                return this.store.addStateKeys(newState, callback)
             }
 
+            componentDidUpdate(prevProps, prevState) {
+                this.store.props = this.props;
 
+                // inform useCantus subscribers that a new context value is available
+                for (let listener of this._listeners) {
+                    listener()
+                }
+            }
 
             render() {
+                const store = this.store;
 
+                // the combined value only changes when the store changes. All other values are shared with actionsContext
                 const value = {
-                    state: this.state,
-                    setters: this.setters,
-                    getters: this.getters,
-                    methods: this.methods,
-                    constants: this.constants,
-                    ...this._boundNamespacedMethods, // expand any namespaced methods into the distributed value
+                    ...renameKeys({ state: store.state, computed: store.computed }, renameMap),
+                    ...store._actions
                 }
 
-                // add reducers with dispatchers
-                if (Object.keys(reducers).length) value.reducers = this.reducersWithDispatchers
-
-                // initialize a window manager if within a multi-window state management system
-                if (this.bindToLocalStorage) value.windowManager = this.createWindowManager();
+                // add the status of each async method
+                if (Object.keys(asyncMethods).length) value[renameMap.asyncStatus || "asyncStatus"] = store.asyncStatus;
 
-                // rename value keys to user specifications
-                for (let key of Object.keys(renameMap)) {
-                    
-                    if(PROTECTED_NAMESPACES.includes(renameMap[key])) throw new Error(`The name, ${renameMap[key]}, was provided in call to '.rename'. ${renameMap[key]} is a protected value and cannot be reassigned. Please select a different name.`)
-                    
-                    if (value[key]) {
-                        value[renameMap[key]] = value[key];
-                        delete value[key];
-                        // reassign the value in 'this' for reference in across method types (setters, methods, etc.)
-                        this[renameMap[key]] = this[key];
-                    }
-                }
+                // keep a reference to the latest value for useCantus subscribers
+                this._value = value;
+                this._renderedState = store.state;
 
                 return (
-                    <Context.Provider value={value}>
-                        {this.props.children}
-                    </Context.Provider>
+                    <SubscriptionContext.Provider value={this._subscription}>
+                        <ActionsContext.Provider value={store._actions}>
+                            <StateContext.Provider value={store.state}>
+                                <Context.Provider value={value}>
+                                    {this.props.children}
+                                </Context.Provider>
+                            </StateContext.Provider>
+                        </ActionsContext.Provider>
+                    </SubscriptionContext.Provider>
                 )
             }
         }
@@ -706,59 +2534,211 @@ export default CantusFirmus;
 
 /* 
 contextDependencies = [
-    {context: Context, key: string name of context in props, dependencies: [string names of deps]},
+    {context: Context, key: string name of context in props, dependencies: [dependency, ...]},
     ...
 ]
+
+a dependency can be:
+    "key"                                       a state key (or computed value)
+    ["users", "*", "online"]                    a nested path. Missing keys resolve to undefined, and "*" matches every item at that level
+    (state, computed) => value                  a selector function
+    {path | selector, equals}                   either of the above, compared with "shallow", "deep" or a custom equality function (Object.is by default)
  */
 
-export const subscribe = (Component, contextDependencies) => {
+const EQUALITY_FUNCTIONS = {
+    shallow: shallowEqual,
+    deep: deepEqual
+}
+
+const getDependencySource = (contextValue, key) => {
+    // dependencies refer to state keys, or to computed values if no state key has that name
+    return (key in contextValue.state) || !contextValue.computed ? contextValue.state : contextValue.computed
+}
 
-    const CantusFirmusSubscriber = (props) => {
+const selectPath = (value, path) => {
+    /* 
+    safely follows a path into a value, returning undefined if any step along the way is missing.
+    A "*" in the path collects the rest of the path from every item (of an array or object) at that level into an array
+    */
+    for (let i = 0; i < path.length; i++) {
+        if (value === undefined || value === null) return undefined;
 
-        let contexts = {},
-            dependencies = [],
-            nestedDep = null;
+        if (path[i] === "*") {
+            const rest = path.slice(i + 1);
+            return Object.values(value).map(item => selectPath(item, rest))
+        }
+        value = value[path[i]];
+    }
+    return value
+}
 
-        // apply default key value when only 1 context is subscribed to, and no key value given
-        if (contextDependencies.length === 1 && !contextDependencies[0].key) contextDependencies[0].key = "context"
+const normalizeDependency = (dep) => {
+    /* 
+    converts any accepted dependency format into {select, equals}, where select takes the context value and returns the value of the dependency
+    */
+    if (typeof dep === "function") dep = { selector: dep };
+    if (typeof dep === "string" || Array.isArray(dep)) dep = { path: dep };
+    const { path, selector, equals } = dep || {};
+
+    let select;
+    if (typeof selector === "function") {
+        select = contextValue => selector(contextValue.state, contextValue.computed);
+    } else if (typeof path === "string" || Array.isArray(path)) {
+        const keys = Array.isArray(path) ? path : [path];
+        select = contextValue => selectPath(getDependencySource(contextValue, keys[0]), keys);
+    } else {
+        throw new Error("Dependencies passed to subscribe must be a state key, a path array, a selector function, or an object with a path or selector (and an optional equals).")
+    }
 
-        contextDependencies.forEach((ctx, i) => {
+    // wildcard paths create a new array each time, so their items are compared instead
+    const comparison = equals || (Array.isArray(path) && path.includes("*") ? "shallow" : Object.is);
+    const equalityFn = typeof comparison === "function" ? comparison : EQUALITY_FUNCTIONS[comparison];
+    if (!equalityFn) throw new Error(`The equals option of a subscribe dependency must be "shallow", "deep", or a function. Received: ${equals}`)
 
-            ctx.key = ctx.key || `context${i + 1}` // if not key value is set, apply default here
-            contexts[ctx.key] = useContext(ctx.context); // assign the entire context object so it can be passed into props
+    return { select, equals: equalityFn }
+}
 
-            for (let dep of ctx.dependencies) {
+// statics that are defined by React (or by the wrapper itself), and are therefore not copied from the wrapped component
+const NON_HOISTABLE_STATICS = [
+    "$$typeof",
+    "render",
+    "compare",
+    "type",
+    "displayName",
+    // propTypes are validated against the props the wrapped component receives (including the injected context props), so they stay on the wrapped component
+    "propTypes",
+    "contextType",
+    "contextTypes",
+    "childContextTypes",
+    "getDerivedStateFromProps",
+    "getDerivedStateFromError",
+    "mixins",
+    "name",
+    "length",
+    "prototype",
+    "caller",
+    "callee",
+    "arguments",
+    "arity"
+]
 
-                if (typeof dep === "string") {
+const hoistStatics = (target, source) => {
+    /* 
+    copies the static properties of a component (defaultProps, and any custom statics) onto the component that wraps it
+    */
+    for (let key of Object.getOwnPropertyNames(source)) {
+        if (NON_HOISTABLE_STATICS.includes(key)) continue;
 
-                    dependencies.push(contexts[ctx.key].state[dep]) // save just the desired state dependencies
+        // skip any properties of the wrapper that cannot be redefined
+        const existing = Object.getOwnPropertyDescriptor(target, key);
+        if (existing && !existing.configurable) continue;
 
-                } else if (Array.isArray(dep)) { // allow for nested dependencies
+        Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key));
+    }
+    return target
+}
 
-                    nestedDep = contexts[ctx.key].state[dep[0]]
-                    for (let i = 1; i < dep.length; i++) { // looping from 1 because we have already handled the first step in the nested path
-                        nestedDep = nestedDep[dep[i]]
-                    }
-                    dependencies.push(nestedDep)
+const PROP_LAYOUTS = ["keyed", "flat"];
 
-                }
+export const subscribe = (Component, contextDependencies, options = {}) => {
+
+    const { propLayout = "keyed" } = options;
+    if (!PROP_LAYOUTS.includes(propLayout)) throw new Error(`The propLayout option passed to subscribe must be one of: ${PROP_LAYOUTS.join(", ")}. Received: ${propLayout}`)
+
+    // normalize the dependencies once, without modifying the array that was passed in
+    const subscriptions = contextDependencies.map((ctx, i) => ({
+        context: ctx.context,
+        // default key is "context" when only 1 context is subscribed to, otherwise context1, context2, etc.
+        key: ctx.key || (contextDependencies.length === 1 ? "context" : `context${i + 1}`),
+        dependencies: (ctx.dependencies || []).map(normalizeDependency)
+    }))
+    const equalityFns = subscriptions.reduce((fns, ctx) => [...fns, ...ctx.dependencies.map(dep => dep.equals)], []);
+
+    const CantusFirmusSubscriber = (props, ref) => {
+
+        let contexts = {},
+            values = [];
+
+        for (let ctx of subscriptions) {
+            contexts[ctx.key] = useContext(ctx.context); // assign the entire context object so it can be passed into props
+
+            for (let dep of ctx.dependencies) {
+                values.push(dep.select(contexts[ctx.key])) // save just the desired state dependencies
             }
+        }
 
-        })
+        // re-render the wrapped component only when a dependency (compared with its equality function) or a prop has changed
+        const rendered = useRef(null);
+        const previous = rendered.current;
 
-        // add props to dependencies
-        for (let propKey of Object.keys(props)) {
-            dependencies.push(props[propKey])
+        if (previous && previous.ref === ref && shallowEqual(previous.props, props) && values.every((value, i) => equalityFns[i](previous.values[i], value))) {
+            return previous.element
         }
 
-        return useMemo(
-            () => <Component {...props} {...contexts} />,
-            dependencies
-        )
+        // contexts are either passed under their keys, or (with the "flat" layout) their values are spread directly into props
+        const contextProps = propLayout === "flat"
+            ? Object.keys(contexts).reduce((flattened, key) => ({ ...flattened, ...contexts[key] }), {})
+            : contexts;
+
+        const element = <Component {...props} {...contextProps} ref={ref} />
+        rendered.current = { props, ref, values, element };
+        return element
     }
 
-    return CantusFirmusSubscriber;
+    const Subscriber = forwardRef(CantusFirmusSubscriber);
+    Subscriber.displayName = `Subscribe(${Component.displayName || Component.name || "Component"})`;
+
+    return hoistStatics(Subscriber, Component);
 
 
 }
 
+
+
+// ============================ useCantus ============================
+
+/* 
+const { state, setters, getters, methods } = useCantus(MyContext, state => state.user.name, equalityFn)
+
+Returns the context value with 'state' replaced by the selected slice. The calling component only re-renders when the selected value changes (as determined by equalityFn)
+*/
+
+export const useCantus = (Context, selector = state => state, equalityFn = Object.is) => {
+
+    const subscriptionContext = SUBSCRIPTION_CONTEXTS.get(Context);
+    if (!subscriptionContext) throw new Error("useCantus requires a context created by a CantusFirmus instance as its first argument.")
+
+    const subscription = useContext(subscriptionContext);
+    if (!subscription) throw new Error("useCantus must be called from a component rendered inside of the matching CantusFirmus Provider.")
+
+    const [, forceRender] = useReducer(count => count + 1, 0);
+
+    const value = subscription.getValue();
+    const selected = selector(subscription.getState(), subscription.getComputed());
+    const status = subscription.getStatus();
+
+    // keep the latest selector, equality function, selected value, and status available to the subscription listener
+    const latest = useRef();
+    latest.current = { selector, equalityFn, selected, status };
+
+    useEffect(() => {
+        const checkForUpdates = () => {
+            const { selector, equalityFn, selected, status } = latest.current;
+
+            // asyncStatus and history are part of the returned value, so changes to them also re-render the component
+            if (!shallowEqual(status, subscription.getStatus())) return forceRender();
+
+            try {
+                if (!equalityFn(selected, selector(subscription.getState(), subscription.getComputed()))) forceRender();
+            } catch (err) { // if the selector throws, re-render so the error surfaces in the component
+                forceRender();
+            }
+        }
+
+        // state may have changed between render and subscription
+        checkForUpdates();
+        return subscription.subscribe(checkForUpdates);
+    }, [subscription])
+
+    return { ...value, state: selected };
+}
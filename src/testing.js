@@ -0,0 +1,223 @@
+import React from "react";
+import ReactDOM from "react-dom";
+import { act } from "react-dom/test-utils";
+
+import { createMemoryStorage } from "./index";
+
+/*
+Utilities for testing Providers created with cantus-firmus in jsdom (or any other DOM environment).
+
+import { renderProvider, createFakeStorage, createFakeWindows } from 'cantus-firmus/testing'
+*/
+
+// ========================== HELPER METHODS ==========================
+
+const createSpy = (fn) => {
+    /*
+    wraps a function so that the arguments and return value of each call are recorded
+    */
+    const spy = function (...args) {
+        const result = fn.apply(this, args);
+        spy.calls.push(args);
+        spy.results.push(result);
+        return result
+    }
+    spy.calls = [];
+    spy.results = [];
+    spy.original = fn;
+    spy.reset = () => {
+        spy.calls = [];
+        spy.results = [];
+    }
+    return spy
+}
+
+const spyOnGroup = (group = {}) => {
+    /*
+    replaces every function of a group (setters, getters, methods) with a spy. The group is modified in place, so the spies are also what is distributed through context
+    */
+    for (let name of Object.keys(group)) {
+        if (typeof group[name] === "function" && !group[name].original) group[name] = createSpy(group[name]);
+    }
+    return group
+}
+
+
+// ========================== RENDER PROVIDER ==========================
+
+export const renderProvider = (Provider, options = {}) => {
+    /*
+    renders a Provider (the result of cf.createProvider()) into a DOM container, and returns a harness to inspect and drive it.
+
+    options = {
+        initialState: state that overrides the default state of the CantusFirmus instance,
+        props: any other props to pass to the Provider,
+        children: the children to render inside of the Provider,
+        container: the DOM element to render into (a new div is appended to document.body by default)
+    }
+    */
+    const { props = {}, children = null } = options;
+    const container = options.container || document.body.appendChild(document.createElement("div"));
+
+    // initialState is only passed when it is given, so it does not overwrite an initialState passed in props
+    const providerProps = options.initialState === undefined ? props : { ...props, initialState: options.initialState };
+
+    let instance = null;
+    const render = (children) => ReactDOM.render(
+        <Provider {...providerProps} ref={provider => { if (provider) instance = provider }}>
+            {children}
+        </Provider>,
+        container
+    )
+
+    act(() => { render(children) });
+
+    if (!instance || !instance.store) throw new Error("renderProvider requires a Provider created with cf.createProvider().")
+
+    const store = instance.store;
+
+    // every state transition made through the store's setState, in the order they were committed
+    const transitions = [];
+    let lastState = store.state;
+
+    // pending setState promises, so tests can wait for them to settle
+    const pending = new Set();
+
+    // wrap the store's setState. Setters, methods, reducers, etc. look up setState when they are called, so all of their updates pass through here
+    const setState = store.setState;
+    store.setState = (update, callback, meta = { type: "setState" }) => {
+        const promise = setState(update, state => {
+            transitions.push({ prevState: lastState, state, meta });
+            lastState = state;
+            if (callback) callback(state);
+        }, meta)
+
+        const tracked = promise.catch(() => { }).then(() => pending.delete(tracked));
+        pending.add(tracked);
+        return promise
+    }
+
+    spyOnGroup(store.setters);
+    spyOnGroup(store.getters);
+    spyOnGroup(store.methods);
+    for (let namespace of Object.keys(store._boundNamespacedMethods || {})) {
+        spyOnGroup(store._boundNamespacedMethods[namespace]);
+    }
+
+    return {
+        container,
+        instance,
+        store,
+        transitions,
+        setters: store.setters,
+        getters: store.getters,
+        methods: store.methods,
+        namespacedMethods: store._boundNamespacedMethods,
+        getState: () => store.state,
+        // the full value distributed through the instance's context
+        getValue: () => instance._value,
+        async settle() {
+            // wait until every pending state update has been committed (including updates made while waiting)
+            do {
+                await act(async () => {
+                    await Promise.all([...pending]);
+                })
+            } while (pending.size)
+            return store.state
+        },
+        act,
+        rerender(children) {
+            act(() => { render(children) });
+        },
+        unmount() {
+            act(() => { ReactDOM.unmountComponentAtNode(container) });
+            if (!options.container && container.parentNode) container.parentNode.removeChild(container);
+        }
+    }
+}
+
+
+// ========================== FAKE STORAGE ==========================
+
+export const createFakeStorage = (initialItems = {}) => {
+    /*
+    creates a storage adapter (see connectToLocalStorage's storage option) that keeps items in memory, and can simulate changes made from other windows
+    */
+    const store = new Map(Object.keys(initialItems).map(key => [key, String(initialItems[key])]));
+    const storage = createMemoryStorage(store);
+
+    // a second adapter on the same store behaves like another window, so its changes are delivered to the first adapter's subscribers
+    const otherWindow = createMemoryStorage(store);
+
+    return {
+        ...storage,
+        // returns a plain object copy of every stored item
+        getItems: () => [...store.entries()].reduce((items, [key, value]) => ({ ...items, [key]: value }), {}),
+        // sets (or with a value of null, removes) an item as if it had been changed in another window
+        emit(key, value) {
+            act(() => {
+                value === null ? otherWindow.removeItem(key) : otherWindow.setItem(key, value)
+            })
+        },
+        clear() {
+            store.clear();
+        }
+    }
+}
+
+
+// ========================== FAKE WINDOWS ==========================
+
+export const createFakeWindows = () => {
+    /*
+    replaces window.open with a registry of fake windows, so windowManager.open/close and window names can be tested without opening real windows.
+    Call restore() to put back the original window.open and window.name
+    */
+    const originalOpen = window.open;
+    const originalName = window.name;
+    const windows = {};
+    const opened = [];
+
+    window.open = (url, name, features) => {
+        const fakeWindow = {
+            url,
+            name,
+            features,
+            closed: false,
+            close() {
+                fakeWindow.closed = true;
+            }
+        }
+        windows[name] = fakeWindow;
+        opened.push(fakeWindow);
+        return fakeWindow
+    }
+
+    return {
+        // every window opened (including closed ones), in order
+        opened,
+        get: name => windows[name],
+        isOpen: name => Boolean(windows[name] && !windows[name].closed),
+        // the names of the windows that are still open
+        list: () => Object.keys(windows).filter(name => !windows[name].closed),
+        // sets the name of the current window (used to determine the provider and subscriber windows)
+        setName(name) {
+            window.name = name;
+        },
+        restore() {
+            window.open = originalOpen;
+            window.name = originalName;
+        }
+    }
+}
+
+export const fireStorageEvent = (key, newValue, storageArea = window.localStorage) => {
+    /*
+    dispatches a storage event as if the item had been changed in another window (for Providers using the localStorage or sessionStorage adapters)
+    */
+    act(() => {
+        newValue === null ? storageArea.removeItem(key) : storageArea.setItem(key, newValue);
+        const event = new window.StorageEvent("storage", { key, newValue, storageArea });
+        window.dispatchEvent(event);
+    })
+}